@@ -0,0 +1,72 @@
+/**
+ * Generator benchmark
+ *
+ * Generates a large crossword (200 words on a 50x50 grid by default) a few times
+ * and fails when the median run takes longer than the time budget. The words are
+ * drawn from the bundled English list with a seeded random source, so every run
+ * uses the same list.
+ *
+ * Usage: npm run bench -- [--words 200] [--size 50] [--runs 3] [--budget 3000] [--seed 1]
+ */
+
+import { createRequire } from 'node:module';
+import { generateCrossword } from '../src/utils/crosswordGenerator.js';
+import { createRandom } from '../src/utils/random.js';
+
+const require = createRequire(import.meta.url);
+const englishWords = require('an-array-of-english-words');
+
+const DEFAULTS = { words: 200, size: 50, runs: 3, budget: 3000, seed: 1 };
+
+// Word lengths drawn for the benchmark list
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 12;
+
+/**
+ * Reads --name value pairs from the command line
+ */
+function parseArgs(args) {
+  const settings = { ...DEFAULTS };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    const value = Number(args[i + 1]);
+    if (!(name in DEFAULTS) || !Number.isFinite(value)) {
+      throw new Error(`Unknown option ${args[i]} ${args[i + 1] ?? ''}`);
+    }
+    settings[name] = value;
+  }
+  return settings;
+}
+
+/**
+ * Picks distinct words from the bundled list with the seeded random source
+ */
+function pickWords(count, seed) {
+  const random = createRandom(seed);
+  const pool = englishWords.filter(w => w.length >= MIN_LENGTH && w.length <= MAX_LENGTH && /^[a-z]+$/.test(w));
+  const picked = new Set();
+  while (picked.size < count) {
+    picked.add(pool[Math.floor(random() * pool.length)].toUpperCase());
+  }
+  return [...picked];
+}
+
+const settings = parseArgs(process.argv.slice(2));
+const words = pickWords(settings.words, settings.seed);
+const times = [];
+
+console.log(`${settings.words} words on a ${settings.size}x${settings.size} grid, ${settings.runs} runs`);
+for (let run = 0; run < settings.runs; run++) {
+  const start = performance.now();
+  const result = generateCrossword(words, settings.size, settings.size, { seed: settings.seed + run });
+  const time = performance.now() - start;
+  times.push(time);
+  console.log(`  run ${run + 1}: ${Math.round(time)} ms, ${result.placements.length} of ${words.length} words placed`);
+}
+
+const median = [...times].sort((a, b) => a - b)[Math.floor(times.length / 2)];
+console.log(`Median: ${Math.round(median)} ms (budget ${settings.budget} ms)`);
+if (median > settings.budget) {
+  console.error('Over the time budget');
+  process.exitCode = 1;
+}
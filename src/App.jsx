@@ -3,14 +3,68 @@ import WordInput from './components/WordInput';
 import GridSettings from './components/GridSettings';
 import CrosswordGrid from './components/CrosswordGrid';
 import ClueEditor from './components/ClueEditor';
+import ClueNotices from './components/ClueNotices';
 import ExportPanel from './components/ExportPanel';
-import { generateCrossword } from './utils/crosswordGenerator';
+import GenerationProgress from './components/GenerationProgress';
+import CandidateGallery from './components/CandidateGallery';
+import PinnedWords from './components/PinnedWords';
+import BlockPatternPanel from './components/BlockPatternPanel';
+import AutofillPanel from './components/AutofillPanel';
+import ShapeMaskPanel from './components/ShapeMaskPanel';
+import UnplacedWordList from './components/UnplacedWordList';
+import ScoringSettings from './components/ScoringSettings';
+import ReplayControls from './components/ReplayControls';
+import VariantPanel from './components/VariantPanel';
+import {
+  validatePinnedWords,
+  addWordsToGrid,
+  diagnoseUnplaced,
+  DEFAULT_SCORING
+} from './utils/crosswordGenerator';
 import { generateNumbering } from './utils/numberingUtils';
+import { randomSeed } from './utils/random';
+import { runGeneration, runCandidateGeneration, runAutoSizedGeneration, runAutofill, runPatternGeneration } from './utils/generatorClient';
+import { cropGrid, getContentBounds, offsetPlacements, offsetCellKeys } from './utils/gridUtils';
+import { patternToGrid, gridToPattern, validatePattern, toggleBlock, SYMMETRIES } from './utils/blockPatterns';
+import { EMPTY, VOID, UNFILLED, isComplete, isBlock, isInPuzzle, isWhite } from './utils/cellUtils';
+import { loadBundledWordList } from './utils/wordLists';
+import { fitMask, cropMask, isInsideMask } from './utils/shapeMasks';
+import { findIslands, reconnectIslands, isMovedBy, movePlacement } from './utils/connectivity';
+import { buildReplayFrames } from './utils/replay';
+import { buildVariants, exportVariantsPdf } from './utils/variants';
+import { toggleBar } from './utils/bars';
+import { DEFAULT_ALPHABET, getAlphabet } from './utils/alphabets';
+import { linkSlots, unlinkSlot, pruneLinks } from './utils/linkedAnswers';
+import { matchSlots, fromWordKeys, slotName } from './utils/slots';
+
+// Word list settings when no word is marked required and none has a priority
+const NO_WORD_OPTIONS = { required: [], priorities: {}, theme: [] };
 
 function App() {
+  // Puzzle style: 'freeform' (generated from a word list) or 'american' (block pattern)
+  const [puzzleMode, setPuzzleMode] = useState('freeform');
+
   // Grid settings
   const [gridWidth, setGridWidth] = useState(15);
   const [gridHeight, setGridHeight] = useState(15);
+  const [seed, setSeed] = useState(() => randomSeed());
+  const [timeLimit, setTimeLimit] = useState(10); // Seconds
+  const [candidateCount, setCandidateCount] = useState(1); // More than 1 shows the candidate gallery
+  const [autoSize, setAutoSize] = useState(false); // Search for the smallest grid that fits every word
+  const [shapeMask, setShapeMask] = useState(null); // Cells letters may go in (see shapeMasks.js), null for the whole grid
+  const [aspectRatio, setAspectRatio] = useState(null); // Width / height for auto size, null to crop to fit
+  const [alphabetId, setAlphabetId] = useState(DEFAULT_ALPHABET); // Letters words may use (see alphabets.js)
+  const [foldDiacritics, setFoldDiacritics] = useState(false); // Let letters differing only by accents cross
+
+  // Words fixed in place before generation: { word, row, col, isHorizontal }
+  const [pinnedWords, setPinnedWords] = useState([]);
+  // Words currently typed in the word list (offered when pinning)
+  const [typedWords, setTypedWords] = useState([]);
+
+  // Running generation or autofill: { title, progress, timeLimit, cancel } while the worker is busy, null otherwise
+  const [generation, setGeneration] = useState(null);
+  // Set when the shown layout came from a cancelled or timed-out generation
+  const [generationNotice, setGenerationNotice] = useState('');
 
   // Crossword state
   const [grid, setGrid] = useState(null);
@@ -21,9 +75,31 @@ function App() {
   const [acrossWords, setAcrossWords] = useState([]);
   const [downWords, setDownWords] = useState([]);
   const [unplacedWords, setUnplacedWords] = useState([]);
+  const [wordOptions, setWordOptions] = useState(NO_WORD_OPTIONS); // { required, priorities } from WordInput
+  const [scoring, setScoring] = useState(DEFAULT_SCORING); // Placement weights and layout limits
+  const [themeProblems, setThemeProblems] = useState([]); // Theme entries that got no showcase slot
+  const [recordReplay, setRecordReplay] = useState(false); // Record generation steps (see replay.js)
+  const [replay, setReplay] = useState(null); // Recorded steps of the layout shown
+  const [replayIndex, setReplayIndex] = useState(null); // Frame being replayed, null when not replaying
+
+  // Candidate layouts from gallery mode, kept until Reset so the user can switch back
+  const [candidates, setCandidates] = useState([]);
+  const [selectedCandidate, setSelectedCandidate] = useState(0);
+
+  // Numbered entries with ids that follow them through edits (see slots.js)
+  const [slots, setSlots] = useState([]);
+
+  // Clues, keyed by slot id
+  const [clues, setClues] = useState({});
 
-  // Clues
-  const [clues, setClues] = useState({ across: {}, down: {} });
+  // Clues of edited or removed answers, waiting for the user to keep, clear or restore them
+  const [clueNotices, setClueNotices] = useState([]);
+
+  // Slots whose clues show an enumeration, e.g. "(3,5)" (see enumerations.js)
+  const [enumerations, setEnumerations] = useState({});
+
+  // Answers split over several slots (see linkedAnswers.js)
+  const [links, setLinks] = useState([]);
 
   // Show letters toggle
   const [showLetters, setShowLetters] = useState(true);
@@ -31,15 +107,55 @@ function App() {
   // Pencil marks (tentative letters)
   const [pencilMarks, setPencilMarks] = useState({});
 
+  // Bars between cells in barred grids (see bars.js)
+  const [bars, setBars] = useState({});
+
+  // Symmetry the block tool keeps (see SYMMETRIES)
+  const [blockSymmetry, setBlockSymmetry] = useState(SYMMETRIES.ROTATIONAL);
+
   // Ref for grid export
   const gridRef = useRef(null);
 
-  // Check for duplicate words in current crossword
+  // Set when another layout replaces the grid, whose cells have nothing to do with the last one
+  const layoutReplaced = useRef(false);
+
+  // The shape mask at the current grid size (a shape fixes the size, so auto size is off)
+  const activeMask = useMemo(
+    () => (shapeMask && puzzleMode === 'freeform' ? fitMask(shapeMask, gridWidth, gridHeight) : null),
+    [shapeMask, puzzleMode, gridWidth, gridHeight]
+  );
+  const useAutoSize = autoSize && !activeMask;
+  const alphabet = getAlphabet(alphabetId);
+
+  // Unplaced words split into required ones (a real problem) and optional ones that were dropped
+  const missingRequired = useMemo(
+    () => unplacedWords.filter(word => wordOptions.required.includes(word)),
+    [unplacedWords, wordOptions]
+  );
+  const droppedOptional = useMemo(
+    () => unplacedWords.filter(word => !wordOptions.required.includes(word)),
+    [unplacedWords, wordOptions]
+  );
+
+  // Why each unplaced word doesn't fit, checked against the grid as it is now (edits included)
+  const diagnostics = useMemo(
+    () => (grid && puzzleMode === 'freeform' ? diagnoseUnplaced(grid, unplacedWords, activeMask, scoring, foldDiacritics, bars) : []),
+    [grid, puzzleMode, unplacedWords, activeMask, scoring, foldDiacritics, bars]
+  );
+  const gridSize = grid ? { width: grid[0].length, height: grid.length } : null;
+
+  // Words already in the puzzle (source list plus anything typed into the grid)
+  const puzzleWords = useMemo(
+    () => [...new Set([...words, ...acrossWords.map(w => w.word), ...downWords.map(w => w.word)])],
+    [words, acrossWords, downWords]
+  );
+
+  // Check for duplicate words in current crossword (entries still being filled in don't count)
   const duplicateWords = useMemo(() => {
     const allWords = [
       ...acrossWords.map(w => w.word),
       ...downWords.map(w => w.word)
-    ];
+    ].filter(isComplete);
 
     const seen = new Set();
     const dupes = new Set();
@@ -54,63 +170,335 @@ function App() {
     return Array.from(dupes);
   }, [acrossWords, downWords]);
 
-  // Clean up clues when words are deleted from the grid
+  // Groups of letters that don't cross the rest of the grid (after edits)
+  const islands = useMemo(() => (grid ? findIslands(grid) : null), [grid]);
+
+  // Replay frames, and the frame shown in place of the grid while replaying
+  const replayFrames = useMemo(() => (replay ? buildReplayFrames(replay) : []), [replay]);
+  const replayFrame = replayIndex !== null ? replayFrames[replayIndex] : null;
+  const replayNumbers = useMemo(
+    () => (replayFrame ? generateNumbering(replayFrame.grid).cellNumbers : null),
+    [replayFrame]
+  );
+  const isSplit = islands !== null && islands.islands.length > 1;
+
+  // Match the new numbering with the previous slots, so clues follow their entries (see slots.js)
+  // A clue stays with an edited answer until the user keeps or clears it; clues of removed
+  // entries are set aside so they can be restored to another slot
+  // Only answers follow into another layout: matching by cells is for edits of this one
   useEffect(() => {
-    const currentAcrossWords = new Set(acrossWords.map(w => w.word));
-    const currentDownWords = new Set(downWords.map(w => w.word));
+    const followEdits = !layoutReplaced.current;
+    layoutReplaced.current = false;
+    const { slots: nextSlots, changed, removed } = matchSlots(slots, acrossWords, downWords, { followEdits });
+    const ids = new Set(nextSlots.map(slot => slot.id));
+    const keep = (prev) => Object.fromEntries(Object.entries(prev).filter(([id]) => ids.has(id)));
 
-    setClues(prev => {
-      const newAcross = {};
-      const newDown = {};
+    setSlots(nextSlots);
+    setClues(keep);
+    setEnumerations(keep);
+    setLinks(prev => pruneLinks(prev, ids));
+    setClueNotices(prev => {
+      const edited = new Map(changed.map(change => [change.id, change]));
+      const notices = [];
 
-      // Only keep clues for words that still exist
-      Object.keys(prev.across).forEach(word => {
-        if (currentAcrossWords.has(word)) {
-          newAcross[word] = prev.across[word];
+      // Earlier notices for the same slots are replaced (keeping the answer before the first edit)
+      prev.forEach(notice => {
+        if (notice.type !== 'changed') {
+          notices.push(notice);
+        } else if (edited.has(notice.id)) {
+          edited.set(notice.id, { ...edited.get(notice.id), from: notice.from });
+        } else if (ids.has(notice.id)) {
+          notices.push(notice);
         }
       });
 
-      Object.keys(prev.down).forEach(word => {
-        if (currentDownWords.has(word)) {
-          newDown[word] = prev.down[word];
+      edited.forEach(change => {
+        const slot = nextSlots.find(s => s.id === change.id);
+        if (clues[change.id] && change.from !== change.to) {
+          notices.push({ type: 'changed', ...change, name: slotName(slot), clue: clues[change.id] });
         }
       });
+      removed.filter(slot => clues[slot.id]).forEach(slot => {
+        notices.push({ type: 'removed', word: slot.word, name: slotName(slot), clue: clues[slot.id] });
+      });
 
-      return { across: newAcross, down: newDown };
+      return notices;
     });
   }, [acrossWords, downWords]);
 
-  // Generate crossword
-  const handleGenerate = (inputWords, inputDisplayNames) => {
-    const result = generateCrossword(inputWords, gridWidth, gridHeight);
+  // Show a layout ({ grid, placements, unplacedWords }) in the grid
+  const showLayout = (layout) => {
+    layoutReplaced.current = true;
+    setGrid(layout.grid);
+    setPlacements(layout.placements);
+    setUnplacedWords(layout.unplacedWords);
+    setReplay(layout.replay || null);
+    setReplayIndex(null);
+    setBars({});
 
-    setGrid(result.grid);
-    setPlacements(result.placements);
+    // Generate numbering
+    const numbering = generateNumbering(layout.grid);
+    setCellNumbers(numbering.cellNumbers);
+    setAcrossWords(numbering.acrossWords);
+    setDownWords(numbering.downWords);
+  };
+
+  // Show a generated layout for a new word list
+  const applyGeneratedResult = (result, inputWords, inputDisplayNames, inputWordOptions) => {
+    showLayout(result);
     setWords(inputWords);
     setDisplayNames(inputDisplayNames || {});
-    setUnplacedWords(result.unplacedWords);
+    setWordOptions(inputWordOptions);
 
-    // Generate numbering
-    const numbering = generateNumbering(result.grid);
+    // Reset clues
+    setSlots([]);
+    setClues({});
+    setClueNotices([]);
+    setEnumerations({});
+    setLinks([]);
+  };
+
+  // Load a candidate from the gallery (slots follow their answers, so clues carry over)
+  const handleSelectCandidate = (index) => {
+    showLayout(candidates[index]);
+    setSelectedCandidate(index);
+    setPencilMarks({});
+  };
+
+  // Generate crossword (runs in a worker so the page stays responsive)
+  const handleGenerate = async (inputWords, inputDisplayNames, inputWordOptions = NO_WORD_OPTIONS) => {
+    // Auto size only tries sizes that hold the pins, so only fixed sizes are checked here
+    const pinErrors = useAutoSize ? [] : validatePinnedWords(pinnedWords, gridWidth, gridHeight, activeMask);
+    if (pinErrors.length > 0) {
+      alert('Cannot generate: ' + pinErrors.join('; '));
+      return;
+    }
+
+    const galleryMode = candidateCount > 1;
+    const options = {
+      seed,
+      timeLimit: timeLimit * 1000,
+      count: candidateCount,
+      aspectRatio,
+      pinned: pinnedWords,
+      mask: activeMask,
+      required: inputWordOptions.required,
+      priorities: inputWordOptions.priorities,
+      theme: inputWordOptions.theme,
+      scoring,
+      foldDiacritics,
+      replay: recordReplay
+    };
+    const onProgress = (progress) => setGeneration((prev) => prev && { ...prev, progress });
+
+    let run;
+    if (useAutoSize) {
+      run = runAutoSizedGeneration(inputWords, options, onProgress);
+    } else {
+      const start = galleryMode ? runCandidateGeneration : runGeneration;
+      run = start(inputWords, gridWidth, gridHeight, options, onProgress);
+    }
+
+    setGeneration({ title: 'Generating crossword...', progress: null, timeLimit, cancel: run.cancel });
+    setGenerationNotice('');
+
+    try {
+      const result = await run.promise;
+      if (!result) return;
+
+      if (useAutoSize) {
+        setGridWidth(result.width);
+        setGridHeight(result.height);
+      }
+
+      setThemeProblems(result.themeProblems || []);
+
+      if (galleryMode) {
+        setCandidates(result.candidates);
+        setSelectedCandidate(0);
+        applyGeneratedResult(result.candidates[0], inputWords, inputDisplayNames, inputWordOptions);
+      } else {
+        applyGeneratedResult(result, inputWords, inputDisplayNames, inputWordOptions);
+      }
+
+      if (result.cancelled) {
+        setGenerationNotice('Generation was cancelled. Showing the best layout found so far.');
+      } else if (result.timedOut) {
+        setGenerationNotice(`Time limit of ${timeLimit}s reached. Showing the best layout found so far.`);
+      }
+    } catch (err) {
+      alert('Failed to generate crossword: ' + err.message);
+    } finally {
+      setGeneration(null);
+    }
+  };
+
+  // Add words to the current grid without regenerating
+  // Runs against the grid as it is (manual letters included); clues, display names and edits are kept
+  // Theme entries ("*WORD") keep their tag, but only get theme slots when the grid is generated again
+  const handleAddWords = (inputWords, inputDisplayNames = {}, inputWordOptions = NO_WORD_OPTIONS) => {
+    const mergedOptions = {
+      ...wordOptions,
+      required: [...new Set([...wordOptions.required, ...inputWordOptions.required])],
+      priorities: { ...wordOptions.priorities, ...inputWordOptions.priorities },
+      theme: [...new Set([...wordOptions.theme, ...inputWordOptions.theme])]
+    };
+    const result = addWordsToGrid(grid, inputWords, { ...mergedOptions, seed, mask: activeMask, scoring, foldDiacritics, bars });
+
+    setGrid(result.grid);
+    setPlacements((prev) => [...prev, ...result.added]);
+    setWords((prev) => [...new Set([...prev, ...inputWords])]);
+    setDisplayNames((prev) => ({ ...prev, ...inputDisplayNames }));
+    setWordOptions(mergedOptions);
+    setUnplacedWords((prev) => [...prev.filter(w => !inputWords.includes(w)), ...result.unplacedWords]);
+
+    // Gallery layouts and the recorded steps no longer match the grid
+    setCandidates([]);
+    setReplay(null);
+    setReplayIndex(null);
+
+    const newTheme = inputWordOptions.theme.filter(word => !wordOptions.theme.includes(word));
+    setGenerationNotice(newTheme.length > 0
+      ? `${newTheme.map(w => inputDisplayNames[w] || w).join(', ')} ${newTheme.length === 1 ? 'was' : 'were'} added like ` +
+        'other words. Theme entries get their showcase slots when the grid is generated again.'
+      : '');
+
+    // Regenerate numbering
+    const numbering = generateNumbering(result.grid, bars);
     setCellNumbers(numbering.cellNumbers);
     setAcrossWords(numbering.acrossWords);
     setDownWords(numbering.downWords);
+  };
 
-    // Reset clues
-    setClues({ across: {}, down: {} });
+  // Try the words from the unplaced warning again against the current grid
+  const handleRetryUnplaced = () => {
+    handleAddWords(unplacedWords);
+  };
+
+  // Generate several layouts of the word list and export them as one PDF (see variants.js)
+  // Uses the settings of the current puzzle; the clues carry over by answer
+  const handleExportVariants = async (count, title) => {
+    const options = {
+      seed,
+      timeLimit: timeLimit * 1000,
+      count,
+      pinned: pinnedWords,
+      mask: activeMask,
+      required: wordOptions.required,
+      priorities: wordOptions.priorities,
+      theme: wordOptions.theme,
+      scoring,
+      foldDiacritics
+    };
+    const onProgress = (progress) => setGeneration((prev) => prev && { ...prev, progress });
+    const run = runCandidateGeneration(words, gridWidth, gridHeight, options, onProgress);
+
+    setGeneration({ title: 'Generating variants...', progress: null, timeLimit, cancel: run.cancel });
+    setGenerationNotice('');
+
+    try {
+      const result = await run.promise;
+      if (!result) return;
+
+      const variants = buildVariants(result.candidates, slots, clues);
+      exportVariantsPdf(title, variants, { displayNames, enumerations, links, alphabet, mask: activeMask });
+
+      const notes = [];
+      if (variants.length < count) {
+        notes.push(`Only ${variants.length} different layouts were found, so the PDF has ${variants.length} variants.`);
+      }
+      variants.filter(v => v.unplacedWords.length > 0).forEach(v => {
+        notes.push(`Variant ${v.id} leaves out ${v.unplacedWords.map(w => displayNames[w] || w).join(', ')}.`);
+      });
+      setGenerationNotice(notes.join(' '));
+    } catch (err) {
+      alert('Failed to generate variants: ' + err.message);
+    } finally {
+      setGeneration(null);
+    }
   };
 
-  // Handle clue change (keyed by word, not number, so clues follow words when renumbered)
-  const handleClueChange = (direction, word, value) => {
+  // Fill the empty cells of a block-pattern grid from a word list (runs in a worker)
+  const handleAutofill = async ({ useBundled, customWords, timeLimit: fillTimeLimit }) => {
+    const onProgress = (progress) => setGeneration((prev) => prev && { ...prev, progress });
+    setGeneration({ title: 'Filling grid...', progress: null, timeLimit: fillTimeLimit, cancel: () => {} });
+    setGenerationNotice('');
+
+    try {
+      const bundledWords = useBundled ? await loadBundledWordList() : [];
+      const run = runAutofill(grid, [...bundledWords, ...customWords], { seed, timeLimit: fillTimeLimit * 1000, bars }, onProgress);
+      setGeneration((prev) => prev && { ...prev, cancel: run.cancel });
+
+      const result = await run.promise;
+      if (!result) return;
+
+      setGrid(result.grid);
+      const numbering = generateNumbering(result.grid, bars);
+      setCellNumbers(numbering.cellNumbers);
+      setAcrossWords(numbering.acrossWords);
+      setDownWords(numbering.downWords);
+
+      if (!result.complete) {
+        // Only slots whose every word was tried are known to have no fit (see autofill.js)
+        const exhausted = result.unfillable.every(slot => slot.exhausted);
+        const reason = result.cancelled
+          ? 'Autofill was cancelled'
+          : result.timedOut
+            ? `Time limit of ${fillTimeLimit}s reached`
+            : exhausted
+              ? 'No complete fill exists with this word list'
+              : 'No complete fill found within the search budget';
+        const describe = (slot) => {
+          const number = numbering.cellNumbers[slot.row][slot.col];
+          return `${number}-${slot.isHorizontal ? 'Across' : 'Down'} (${slot.pattern})`;
+        };
+        const noMatch = result.unfillable.filter(slot => slot.exhausted).map(describe);
+        const notFound = result.unfillable.filter(slot => !slot.exhausted).map(describe);
+        setGenerationNotice(
+          `${reason}. Filled ${result.filledSlots} of ${result.totalSlots} entries.` +
+          (noMatch.length > 0 ? ` No word fits: ${noMatch.join(', ')}.` : '') +
+          (notFound.length > 0 ? ` No word found within the budget for: ${notFound.join(', ')}.` : '')
+        );
+      }
+    } catch (err) {
+      alert('Failed to autofill: ' + err.message);
+    } finally {
+      setGeneration(null);
+    }
+  };
+
+  // Handle clue change (keyed by slot id, not number, so clues follow entries when renumbered)
+  const handleClueChange = (id, value) => {
     setClues((prev) => ({
       ...prev,
-      [direction]: {
-        ...prev[direction],
-        [word]: value
-      }
+      [id]: value
     }));
   };
 
+  // Close a notice about an edited or removed answer's clue
+  const handleDismissClueNotice = (notice) => {
+    setClueNotices((prev) => prev.filter(n => n !== notice));
+  };
+
+  // Show or hide a clue's enumeration (keyed by slot id, like clues)
+  const handleEnumerationChange = (id, show) => {
+    setEnumerations((prev) => {
+      const next = { ...prev };
+      if (show) next[id] = true;
+      else delete next[id];
+      return next;
+    });
+  };
+
+  // Link a slot to another, so its answer continues there ("See 12-Across")
+  const handleLinkSlots = (from, to) => {
+    setLinks((prev) => linkSlots(prev, from, to));
+  };
+
+  const handleUnlinkSlot = (id) => {
+    setLinks((prev) => unlinkSlot(prev, id));
+  };
+
   // Handle display name change
   const handleDisplayNameChange = (word, newDisplayName) => {
     setDisplayNames((prev) => ({
@@ -121,6 +509,7 @@ function App() {
 
   // Handle cell change (manual editing)
   // Can accept a single cell (row, col, letter) or multiple cells (array of {row, col, letter})
+  // Blocks are only changed with the block tool. In block-pattern puzzles, clearing a cell leaves it white
   const handleCellChange = (rowOrChanges, col, letter) => {
     let changes;
     if (Array.isArray(rowOrChanges)) {
@@ -132,6 +521,13 @@ function App() {
     const newGrid = grid.map((r, rowIndex) =>
       r.map((cell, colIndex) => {
         const change = changes.find(c => c.row === rowIndex && c.col === colIndex);
+        if (change && (!isInsideMask(activeMask, rowIndex, colIndex) || isBlock(cell))) {
+          return cell;
+        }
+        if (change && puzzleMode === 'american') {
+          if (!isWhite(cell)) return cell;
+          return change.letter === null ? EMPTY : change.letter;
+        }
         if (change) {
           return change.letter;
         }
@@ -142,12 +538,89 @@ function App() {
     setGrid(newGrid);
 
     // Regenerate numbering based on new grid
+    const numbering = generateNumbering(newGrid, bars);
+    setCellNumbers(numbering.cellNumbers);
+    setAcrossWords(numbering.acrossWords);
+    setDownWords(numbering.downWords);
+  };
+
+  // Start a block-pattern puzzle from a pattern (rows of '#' and '.')
+  const handleCreatePattern = (pattern) => {
+    const newGrid = patternToGrid(pattern);
+
+    setGridWidth(newGrid[0].length);
+    setGridHeight(newGrid.length);
+    setGrid(newGrid);
+    setPlacements([]);
+    setWords([]);
+    setDisplayNames({});
+    setUnplacedWords([]);
+    setThemeProblems([]);
+    setReplay(null);
+    setReplayIndex(null);
+    setCandidates([]);
+    setSlots([]);
+    setClues({});
+    setClueNotices([]);
+    setEnumerations({});
+    setLinks([]);
+    setPencilMarks({});
+    setBars({});
+
     const numbering = generateNumbering(newGrid);
     setCellNumbers(numbering.cellNumbers);
     setAcrossWords(numbering.acrossWords);
     setDownWords(numbering.downWords);
   };
 
+  // Make a random block pattern in the worker (it takes seconds on large grids)
+  const handleCreateRandomPattern = async (options) => {
+    const run = runPatternGeneration(gridWidth, gridHeight, { ...options, seed });
+    setGeneration({ title: 'Creating block pattern...', progress: null, timeLimit: 0, cancel: run.cancel });
+    setGenerationNotice('');
+
+    try {
+      const result = await run.promise;
+      if (result) {
+        handleCreatePattern(result.pattern);
+      }
+    } catch (err) {
+      alert('Failed to create a block pattern: ' + err.message);
+    } finally {
+      setGeneration(null);
+    }
+  };
+
+  // Toggle a block and its symmetric partner (block tool)
+  // A removed block becomes an empty white cell in block-pattern puzzles, and leaves the puzzle in freeform ones
+  const handleToggleBlock = (row, col) => {
+    if (!isInsideMask(activeMask, row, col)) return;
+    const newGrid = toggleBlock(grid, row, col, blockSymmetry, puzzleMode === 'american' ? EMPTY : VOID);
+    setGrid(newGrid);
+
+    const numbering = generateNumbering(newGrid, bars);
+    setCellNumbers(numbering.cellNumbers);
+    setAcrossWords(numbering.acrossWords);
+    setDownWords(numbering.downWords);
+  };
+
+  // Add or remove a bar on one edge of a cell (bar tool)
+  const handleToggleBar = (row, col, side) => {
+    const newBars = toggleBar(bars, row, col, side, grid[0].length, grid.length);
+    setBars(newBars);
+
+    const numbering = generateNumbering(grid, newBars);
+    setCellNumbers(numbering.cellNumbers);
+    setAcrossWords(numbering.acrossWords);
+    setDownWords(numbering.downWords);
+  };
+
+  // Rule problems in a block-pattern puzzle
+  const patternProblems = useMemo(() => {
+    if (!grid || puzzleMode !== 'american') return [];
+    return validatePattern(gridToPattern(grid));
+  }, [grid, puzzleMode]);
+
   // Handle pencil mark change
   const handlePencilChange = (row, col, letter) => {
     const key = `${row}-${col}`;
@@ -164,29 +637,30 @@ function App() {
 
   // Check if grid can be shifted in a direction
   const canShift = (direction) => {
-    if (!grid) return false;
+    // A shaped grid stays where its shape is
+    if (!grid || activeMask) return false;
     const height = grid.length;
     const width = grid[0].length;
 
     switch (direction) {
       case 'up':
-        // Can't shift up if any filled cell is in top row
-        return !grid[0].some(cell => cell !== null);
+        // Can't shift up if any cell of the puzzle is in top row
+        return !grid[0].some(isInPuzzle);
       case 'down':
-        // Can't shift down if any filled cell is in bottom row
-        return !grid[height - 1].some(cell => cell !== null);
+        // Can't shift down if any cell of the puzzle is in bottom row
+        return !grid[height - 1].some(isInPuzzle);
       case 'left':
-        // Can't shift left if any filled cell is in leftmost column
-        return !grid.some(row => row[0] !== null);
+        // Can't shift left if any cell of the puzzle is in leftmost column
+        return !grid.some(row => isInPuzzle(row[0]));
       case 'right':
-        // Can't shift right if any filled cell is in rightmost column
-        return !grid.some(row => row[width - 1] !== null);
+        // Can't shift right if any cell of the puzzle is in rightmost column
+        return !grid.some(row => isInPuzzle(row[width - 1]));
       default:
         return false;
     }
   };
 
-  // Shift all filled cells in a direction
+  // Shift the puzzle (white cells and blocks) in a direction
   const shiftGrid = (direction, toEdge = false) => {
     if (!grid) return;
 
@@ -205,7 +679,7 @@ function App() {
             }
           }
           for (let c = 0; c < width; c++) {
-            shifted[height - 1][c] = null;
+            shifted[height - 1][c] = VOID;
           }
           break;
         case 'down':
@@ -215,7 +689,7 @@ function App() {
             }
           }
           for (let c = 0; c < width; c++) {
-            shifted[0][c] = null;
+            shifted[0][c] = VOID;
           }
           break;
         case 'left':
@@ -223,7 +697,7 @@ function App() {
             for (let c = 0; c < width - 1; c++) {
               shifted[r][c] = newGrid[r][c + 1];
             }
-            shifted[r][width - 1] = null;
+            shifted[r][width - 1] = VOID;
           }
           break;
         case 'right':
@@ -231,7 +705,7 @@ function App() {
             for (let c = width - 1; c > 0; c--) {
               shifted[r][c] = newGrid[r][c - 1];
             }
-            shifted[r][0] = null;
+            shifted[r][0] = VOID;
           }
           break;
       }
@@ -241,72 +715,207 @@ function App() {
     const canShiftGrid = (g, dir) => {
       switch (dir) {
         case 'up':
-          return !g[0].some(cell => cell !== null);
+          return !g[0].some(isInPuzzle);
         case 'down':
-          return !g[height - 1].some(cell => cell !== null);
+          return !g[height - 1].some(isInPuzzle);
         case 'left':
-          return !g.some(row => row[0] !== null);
+          return !g.some(row => isInPuzzle(row[0]));
         case 'right':
-          return !g.some(row => row[width - 1] !== null);
+          return !g.some(row => isInPuzzle(row[width - 1]));
         default:
           return false;
       }
     };
 
+    let shifts = 0;
     if (toEdge) {
       // Shift until we can't anymore
       while (canShiftGrid(newGrid, direction)) {
         newGrid = shiftOnce(direction);
+        shifts++;
       }
     } else {
       // Single shift
       if (canShiftGrid(newGrid, direction)) {
         newGrid = shiftOnce(direction);
+        shifts++;
       }
     }
 
+    // Bars move with the cells
+    const [rowStep, colStep] = { up: [-1, 0], down: [1, 0], left: [0, -1], right: [0, 1] }[direction];
+    const newBars = offsetCellKeys(bars, rowStep * shifts, colStep * shifts, width, height);
+
     setGrid(newGrid);
+    setBars(newBars);
 
     // Regenerate numbering
-    const numbering = generateNumbering(newGrid);
+    const numbering = generateNumbering(newGrid, newBars);
+    setCellNumbers(numbering.cellNumbers);
+    setAcrossWords(numbering.acrossWords);
+    setDownWords(numbering.downWords);
+  };
+
+  // Whether the grid has empty rows or columns around its content
+  const canCrop = useMemo(() => {
+    if (!grid) return false;
+    const bounds = getContentBounds(grid);
+    return bounds !== null && (
+      bounds.top > 0 || bounds.left > 0 ||
+      bounds.bottom < grid.length - 1 || bounds.right < grid[0].length - 1
+    );
+  }, [grid]);
+
+  // Move stray islands so they cross the main part of the grid
+  // Moved words keep their clues, as their slots follow them (see slots.js)
+  const handleReconnect = () => {
+    const result = reconnectIslands(grid, activeMask);
+
+    if (result.moves.length > 0) {
+      setGrid(result.grid);
+      setPlacements((prev) => result.moves.reduce(
+        (list, move) => list.map(p => (isMovedBy(p, move) ? movePlacement(p, move) : p)),
+        prev
+      ));
+
+      // Regenerate numbering
+      const numbering = generateNumbering(result.grid, bars);
+      setCellNumbers(numbering.cellNumbers);
+      setAcrossWords(numbering.acrossWords);
+      setDownWords(numbering.downWords);
+    }
+
+    setGenerationNotice(result.stranded.length > 0
+      ? `Could not find a place where ${result.stranded.map(words => words.join('/')).join(', ')} ` +
+        'crosses the main part of the grid. Try a larger grid, or add a word that links them.'
+      : '');
+  };
+
+  // Trim empty rows and columns around the content
+  // Placements, pencil marks and bars move with the content; slots follow their answers, so clues stay put
+  const handleCropToContent = () => {
+    if (!canCrop) return;
+
+    const { grid: croppedGrid, top, left } = cropGrid(grid);
+    const width = croppedGrid[0].length;
+    const height = croppedGrid.length;
+
+    setGrid(croppedGrid);
+    setGridWidth(width);
+    setGridHeight(height);
+    if (activeMask) {
+      setShapeMask(cropMask(activeMask, top, left, width, height));
+    }
+    setPlacements((prev) => offsetPlacements(prev, -top, -left));
+    setPencilMarks((prev) => offsetCellKeys(prev, -top, -left, width, height));
+    const newBars = offsetCellKeys(bars, -top, -left, width, height);
+    setBars(newBars);
+
+    // Regenerate numbering
+    const numbering = generateNumbering(croppedGrid, newBars);
     setCellNumbers(numbering.cellNumbers);
     setAcrossWords(numbering.acrossWords);
     setDownWords(numbering.downWords);
   };
 
   // Load from JSON
-  const handleLoad = (data) => {
+  const handleLoad = async (data) => {
+    // Files that carry a seed but no placements are regenerated from the seed (in the worker,
+    // with the saved generator options); saved placements and cells are always used as they are
+    let loadedPlacements = data.placements;
+    let rebuildCancelled = false;
+    if (!loadedPlacements && data.seed !== undefined) {
+      const run = runGeneration(data.sourceWords || data.words, data.gridWidth, data.gridHeight, {
+        seed: data.seed,
+        pinned: data.pinnedWords,
+        mask: data.shapeMask,
+        scoring: data.scoring,
+        foldDiacritics: data.foldDiacritics,
+        ...data.wordOptions
+      }, (progress) => setGeneration((prev) => prev && { ...prev, progress }));
+      setGeneration({ title: 'Rebuilding the saved layout...', progress: null, timeLimit: 0, cancel: run.cancel });
+
+      try {
+        const result = await run.promise;
+        if (!result) return;
+        loadedPlacements = result.placements;
+        rebuildCancelled = result.cancelled;
+      } catch (err) {
+        alert('Failed to rebuild the saved layout: ' + err.message);
+        return;
+      } finally {
+        setGeneration(null);
+      }
+    }
+
+    setPuzzleMode(data.puzzleMode || 'freeform');
     setGridWidth(data.gridWidth);
     setGridHeight(data.gridHeight);
-    setWords(data.words);
+    setWords(data.sourceWords || data.words);
     setDisplayNames(data.displayNames || {});
-    setPlacements(data.placements);
-    setClues(data.clues || { across: {}, down: {} });
-
-    // Reconstruct grid from saved placements
-    const loadedGrid = Array(data.gridHeight)
-      .fill(null)
-      .map(() => Array(data.gridWidth).fill(null));
-
-    for (const placement of data.placements) {
-      const { word, row, col, isHorizontal } = placement;
-      for (let i = 0; i < word.length; i++) {
-        const r = isHorizontal ? row : row + i;
-        const c = isHorizontal ? col + i : col;
-        if (r < data.gridHeight && c < data.gridWidth) {
-          loadedGrid[r][c] = word[i];
+    setPlacements(loadedPlacements);
+    if (data.seed !== undefined) {
+      setSeed(data.seed);
+    }
+    setPinnedWords(data.pinnedWords || []);
+    setWordOptions({ ...NO_WORD_OPTIONS, ...data.wordOptions });
+    setScoring({ ...DEFAULT_SCORING, ...data.scoring });
+    setShapeMask(data.shapeMask || null);
+    setAlphabetId(data.alphabet || DEFAULT_ALPHABET);
+    setFoldDiacritics(Boolean(data.foldDiacritics));
+
+    // Files with the saved cells (letters, empty cells, blocks and void cells) load them as they are;
+    // older files rebuild the grid from the saved block pattern (if any) and placements
+    let loadedGrid;
+    if (data.cells) {
+      loadedGrid = data.cells.map(row => [...row]);
+    } else {
+      loadedGrid = data.blockPattern
+        ? patternToGrid(data.blockPattern)
+        : Array(data.gridHeight).fill(VOID).map(() => Array(data.gridWidth).fill(VOID));
+
+      for (const placement of loadedPlacements) {
+        const { word, row, col, isHorizontal } = placement;
+        for (let i = 0; i < word.length; i++) {
+          const r = isHorizontal ? row : row + i;
+          const c = isHorizontal ? col + i : col;
+          if (r < data.gridHeight && c < data.gridWidth) {
+            loadedGrid[r][c] = word[i] === UNFILLED ? EMPTY : word[i];
+          }
         }
       }
     }
 
     setGrid(loadedGrid);
+    setBars(data.bars || {});
     setUnplacedWords([]);
+    setThemeProblems([]);
+    setReplay(null);
+    setReplayIndex(null);
+    setCandidates([]);
 
     // Generate numbering
-    const numbering = generateNumbering(loadedGrid);
+    const numbering = generateNumbering(loadedGrid, data.bars);
     setCellNumbers(numbering.cellNumbers);
     setAcrossWords(numbering.acrossWords);
     setDownWords(numbering.downWords);
+
+    // Clues are keyed by slot id; older files keyed them (and enumerations and links) by answer
+    if (data.slots) {
+      setSlots(data.slots);
+      setClues(data.clues || {});
+      setEnumerations(data.enumerations || {});
+      setLinks(data.links || []);
+    } else {
+      const loadedSlots = matchSlots([], numbering.acrossWords, numbering.downWords).slots;
+      const converted = fromWordKeys(loadedSlots, data);
+      setSlots(loadedSlots);
+      setClues(converted.clues);
+      setEnumerations(converted.enumerations);
+      setLinks(converted.links);
+    }
+    setClueNotices([]);
+    setGenerationNotice(rebuildCancelled ? 'Rebuilding was cancelled. Showing the best layout found so far.' : '');
   };
 
   // Reset crossword
@@ -319,8 +928,20 @@ function App() {
     setAcrossWords([]);
     setDownWords([]);
     setUnplacedWords([]);
-    setClues({ across: {}, down: {} });
+    setWordOptions(NO_WORD_OPTIONS);
+    setThemeProblems([]);
+    setReplay(null);
+    setReplayIndex(null);
+    setCandidates([]);
+    setSelectedCandidate(0);
+    setSlots([]);
+    setClues({});
+    setClueNotices([]);
+    setEnumerations({});
+    setLinks([]);
     setPencilMarks({});
+    setBars({});
+    setGenerationNotice('');
   };
 
   return (
@@ -333,14 +954,109 @@ function App() {
       <main>
         <div className="sidebar">
           <GridSettings
+            puzzleMode={puzzleMode}
             width={gridWidth}
             height={gridHeight}
+            seed={seed}
+            timeLimit={timeLimit}
+            candidateCount={candidateCount}
+            autoSize={autoSize}
+            hasShapeMask={activeMask !== null}
+            aspectRatio={aspectRatio}
+            onPuzzleModeChange={setPuzzleMode}
             onWidthChange={setGridWidth}
             onHeightChange={setGridHeight}
-            disabled={grid !== null}
+            onSeedChange={setSeed}
+            onTimeLimitChange={setTimeLimit}
+            onCandidateCountChange={setCandidateCount}
+            onAutoSizeChange={setAutoSize}
+            onAspectRatioChange={setAspectRatio}
+            alphabetId={alphabetId}
+            onAlphabetChange={setAlphabetId}
+            foldDiacritics={foldDiacritics}
+            onFoldDiacriticsChange={setFoldDiacritics}
+            recordReplay={recordReplay}
+            onRecordReplayChange={setRecordReplay}
+            disabled={grid !== null || generation !== null}
           />
 
-          <WordInput onGenerate={handleGenerate} disabled={grid !== null} />
+          {puzzleMode === 'freeform' ? (
+            <>
+              {grid === null ? (
+                <WordInput
+                  key="generate"
+                  onGenerate={handleGenerate}
+                  onWordsChange={setTypedWords}
+                  alphabet={alphabet}
+                  disabled={generation !== null}
+                />
+              ) : (
+                <WordInput
+                  key="add"
+                  title="Add Words"
+                  buttonLabel="Add to Grid"
+                  minWords={1}
+                  existingWords={puzzleWords}
+                  clearOnSubmit
+                  onGenerate={handleAddWords}
+                  alphabet={alphabet}
+                  disabled={generation !== null}
+                />
+              )}
+
+              <ShapeMaskPanel
+                mask={activeMask}
+                width={gridWidth}
+                height={gridHeight}
+                onChange={setShapeMask}
+                onSizeChange={(width, height) => {
+                  setGridWidth(width);
+                  setGridHeight(height);
+                }}
+                disabled={grid !== null || generation !== null}
+              />
+
+              <PinnedWords
+                pinned={pinnedWords}
+                availableWords={typedWords}
+                width={gridWidth}
+                height={gridHeight}
+                mask={activeMask}
+                alphabet={alphabet}
+                onChange={setPinnedWords}
+                disabled={grid !== null || generation !== null}
+              />
+
+              <ScoringSettings
+                scoring={scoring}
+                onChange={setScoring}
+                disabled={grid !== null || generation !== null}
+              />
+
+              {grid && (
+                <VariantPanel
+                  onExport={handleExportVariants}
+                  disabled={words.length === 0 || generation !== null}
+                />
+              )}
+            </>
+          ) : (
+            <>
+              <BlockPatternPanel
+                width={gridWidth}
+                height={gridHeight}
+                onCreate={handleCreatePattern}
+                onCreateRandom={handleCreateRandomPattern}
+                disabled={grid !== null || generation !== null}
+              />
+
+              <AutofillPanel
+                onAutofill={handleAutofill}
+                alphabet={alphabet}
+                disabled={grid === null || generation !== null}
+              />
+            </>
+          )}
 
           {grid && (
             <button className="reset-button" onClick={handleReset}>
@@ -351,24 +1067,108 @@ function App() {
           <ExportPanel
             gridRef={gridRef}
             grid={grid}
+            puzzleMode={puzzleMode}
+            shapeMask={activeMask}
             gridWidth={gridWidth}
             gridHeight={gridHeight}
+            seed={seed}
+            pinnedWords={pinnedWords}
+            wordOptions={wordOptions}
+            scoring={scoring}
+            alphabetId={alphabetId}
+            foldDiacritics={foldDiacritics}
             words={words}
             displayNames={displayNames}
-            placements={placements}
+            bars={bars}
             clues={clues}
-            acrossWords={acrossWords}
-            downWords={downWords}
+            enumerations={enumerations}
+            links={links}
+            slots={slots}
             onLoad={handleLoad}
-            disabled={!grid}
+            disabled={!grid || replayFrame !== null}
           />
         </div>
 
         <div className="content">
-          {unplacedWords.length > 0 && (
+          {generation && (
+            <GenerationProgress
+              title={generation.title}
+              progress={generation.progress}
+              timeLimit={generation.timeLimit}
+              onCancel={generation.cancel}
+            />
+          )}
+
+          {generationNotice && (
+            <div className="warning">{generationNotice}</div>
+          )}
+
+          <CandidateGallery
+            candidates={candidates}
+            selectedIndex={selectedCandidate}
+            onSelect={handleSelectCandidate}
+            rtl={alphabet.rtl}
+          />
+
+          {themeProblems.length > 0 && (
             <div className="warning">
-              <strong>Warning:</strong> The following words could not be placed:{' '}
-              {unplacedWords.join(', ')}
+              <strong>Theme entries:</strong> No symmetric arrangement for some theme entries; they were
+              placed like the other words.
+              <ul>
+                {themeProblems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {missingRequired.length > 0 && (
+            <div className="warning critical">
+              <strong>Required words missing:</strong> These required words could not be placed:
+              <UnplacedWordList
+                diagnostics={diagnostics.filter(d => missingRequired.includes(d.word))}
+                displayNames={displayNames}
+                gridSize={gridSize}
+              />
+            </div>
+          )}
+
+          {droppedOptional.length > 0 && (
+            <div className="warning">
+              <strong>Warning:</strong> The following {wordOptions.required.length > 0 ? 'optional ' : ''}
+              words could not be placed:
+              <UnplacedWordList
+                diagnostics={diagnostics.filter(d => droppedOptional.includes(d.word))}
+                displayNames={displayNames}
+                gridSize={gridSize}
+              />
+            </div>
+          )}
+
+          {unplacedWords.length > 0 && grid && puzzleMode === 'freeform' && (
+            <div className="retry-unplaced">
+              <button onClick={handleRetryUnplaced} disabled={generation !== null}>
+                Retry Unplaced Words
+              </button>
+            </div>
+          )}
+
+          {patternProblems.length > 0 && (
+            <div className="warning">
+              <strong>Block pattern problems:</strong>
+              <ul>
+                {patternProblems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {isSplit && (
+            <div className="warning">
+              <strong>Disconnected grid:</strong> The letters form {islands.islands.length} separate groups
+              (tinted in the grid) that don't cross each other.
+              {puzzleMode === 'freeform' && (
+                <button onClick={handleReconnect} disabled={generation !== null}>
+                  Reconnect
+                </button>
+              )}
             </div>
           )}
 
@@ -389,28 +1189,73 @@ function App() {
                 />
                 Show letters (uncheck for solving view)
               </label>
+              <button
+                className="crop-button"
+                onClick={handleCropToContent}
+                disabled={!canCrop}
+                title="Remove empty rows and columns around the puzzle"
+              >
+                Crop to Content
+              </button>
             </div>
           )}
 
-          <CrosswordGrid
-            ref={gridRef}
-            grid={grid}
-            cellNumbers={cellNumbers}
-            showLetters={showLetters}
-            onCellChange={handleCellChange}
-            canShift={canShift}
-            onShift={shiftGrid}
-            pencilMarks={pencilMarks}
-            onPencilChange={handlePencilChange}
+          {replay && grid && (
+            <ReplayControls frames={replayFrames} index={replayIndex} onIndexChange={setReplayIndex} />
+          )}
+
+          {replayFrame ? (
+            <CrosswordGrid
+              grid={replayFrame.grid}
+              mask={activeMask}
+              cellNumbers={replayNumbers}
+              rtl={alphabet.rtl}
+              showLetters
+              overlay={replayFrame.step?.candidates ? replayFrame.step : null}
+            />
+          ) : (
+            <CrosswordGrid
+              ref={gridRef}
+              grid={grid}
+              mask={activeMask}
+              islandLabels={isSplit ? islands.labels : null}
+              cellNumbers={cellNumbers}
+              alphabet={alphabet}
+              rtl={alphabet.rtl}
+              showLetters={showLetters}
+              onCellChange={handleCellChange}
+              canShift={canShift}
+              onShift={shiftGrid}
+              onToggleBlock={handleToggleBlock}
+              blockSymmetry={blockSymmetry}
+              onBlockSymmetryChange={setBlockSymmetry}
+              bars={bars}
+              onToggleBar={handleToggleBar}
+              pencilMarks={pencilMarks}
+              onPencilChange={handlePencilChange}
+            />
+          )}
+
+          <ClueNotices
+            notices={clueNotices}
+            slots={slots}
+            clues={clues}
+            onClueChange={handleClueChange}
+            onDismiss={handleDismissClueNotice}
           />
 
           <ClueEditor
-            acrossWords={acrossWords}
-            downWords={downWords}
+            slots={slots}
             clues={clues}
             displayNames={displayNames}
+            enumerations={enumerations}
+            links={links}
+            alphabet={alphabet}
             onClueChange={handleClueChange}
             onDisplayNameChange={handleDisplayNameChange}
+            onEnumerationChange={handleEnumerationChange}
+            onLinkSlots={handleLinkSlots}
+            onUnlinkSlot={handleUnlinkSlot}
           />
         </div>
       </main>
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { parseWordList } from '../utils/wordLists';
+
+/**
+ * AutofillPanel Component
+ * Fills the remaining white cells of a block-pattern grid with real words
+ * Words come from the bundled English list, the user's own list (a text file, one word per line) or both
+ * The user's list is read in the puzzle alphabet (see alphabets.js)
+ * Works offline; letters already in the grid are kept
+ */
+function AutofillPanel({ onAutofill, alphabet, disabled }) {
+  const [source, setSource] = useState('bundled');
+  const [customWords, setCustomWords] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [timeLimit, setTimeLimit] = useState(30); // Seconds
+
+  const needsCustomList = source !== 'bundled';
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const words = parseWordList(event.target.result, alphabet);
+      if (words.length === 0) {
+        alert('No words found in the file. Use one word per line.');
+        return;
+      }
+      setCustomWords(words);
+      setFileName(file.name);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleTimeLimitChange = (e) => {
+    const value = parseInt(e.target.value, 10);
+    if (!isNaN(value) && value >= 1 && value <= 300) {
+      setTimeLimit(value);
+    }
+  };
+
+  const handleAutofill = () => {
+    onAutofill({
+      useBundled: source !== 'custom',
+      customWords: needsCustomList ? customWords : [],
+      timeLimit
+    });
+  };
+
+  return (
+    <div className="autofill-panel">
+      <h3>Autofill</h3>
+      <p className="hint">Fill the empty cells with words from a word list. Letters you have entered are kept.</p>
+
+      <select value={source} onChange={(e) => setSource(e.target.value)} disabled={disabled}>
+        <option value="bundled">Bundled English word list</option>
+        <option value="custom">My word list</option>
+        <option value="both">Bundled list + my word list</option>
+      </select>
+
+      {needsCustomList && (
+        <label className="word-list-file">
+          Word list file (.txt):
+          <input type="file" accept=".txt,text/plain" onChange={handleFileChange} disabled={disabled} />
+          {fileName && <span className="word-list-info">{fileName}: {customWords.length} words</span>}
+        </label>
+      )}
+
+      <div className="settings-row">
+        <label>
+          Time limit (s):
+          <input
+            type="number"
+            value={timeLimit}
+            onChange={handleTimeLimitChange}
+            min={1}
+            max={300}
+            disabled={disabled}
+          />
+        </label>
+      </div>
+
+      <button onClick={handleAutofill} disabled={disabled || (needsCustomList && customWords.length === 0)}>
+        Autofill
+      </button>
+    </div>
+  );
+}
+
+export default AutofillPanel;
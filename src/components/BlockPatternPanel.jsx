@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { PATTERN_TEMPLATES, createOpenPattern } from '../utils/blockPatterns';
+
+/**
+ * BlockPatternPanel Component
+ * Starts an American-style puzzle from a block pattern:
+ * a standard template, a random symmetric pattern, or an open grid to design by hand
+ * Random patterns use the grid size and seed from the grid settings,
+ * and are made in the generator worker by onCreateRandom (large grids take a while)
+ */
+function BlockPatternPanel({ width, height, onCreate, onCreateRandom, disabled }) {
+  const [source, setSource] = useState(PATTERN_TEMPLATES[0].id);
+  const [density, setDensity] = useState(16); // Percent of cells that are blocks (random patterns)
+  const [maxEntryLength, setMaxEntryLength] = useState(9);
+
+  const handleCreate = () => {
+    if (source === 'random') {
+      onCreateRandom({ density: density / 100, maxEntryLength });
+    } else if (source === 'open') {
+      onCreate(createOpenPattern(width, height));
+    } else {
+      onCreate(PATTERN_TEMPLATES.find(t => t.id === source).pattern);
+    }
+  };
+
+  return (
+    <div className="block-pattern-panel">
+      <h3>Block Pattern</h3>
+      <p className="hint">
+        Every white cell is part of an Across and a Down entry of at least 3 letters, with symmetric blocks.
+      </p>
+      <select value={source} onChange={(e) => setSource(e.target.value)} disabled={disabled}>
+        {PATTERN_TEMPLATES.map(template => (
+          <option key={template.id} value={template.id}>{template.name}</option>
+        ))}
+        <option value="random">Random symmetric pattern ({width}×{height})</option>
+        <option value="open">Open grid - design your own ({width}×{height})</option>
+      </select>
+
+      {source === 'random' && (
+        <div className="settings-row">
+          <label>
+            Blocks (%):
+            <input
+              type="number"
+              value={density}
+              min={5}
+              max={30}
+              onChange={(e) => setDensity(parseInt(e.target.value, 10) || 16)}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Longest entry:
+            <input
+              type="number"
+              value={maxEntryLength}
+              min={3}
+              max={Math.max(width, height)}
+              onChange={(e) => setMaxEntryLength(parseInt(e.target.value, 10) || 9)}
+              disabled={disabled}
+            />
+          </label>
+        </div>
+      )}
+
+      <button onClick={handleCreate} disabled={disabled}>
+        Create Grid
+      </button>
+    </div>
+  );
+}
+
+export default BlockPatternPanel;
@@ -0,0 +1,82 @@
+import { useRef, useEffect } from 'react';
+import { isWhite } from '../utils/cellUtils';
+
+const THUMBNAIL_SIZE = 120; // Pixels along the longer grid side
+
+/**
+ * GridThumbnail Component
+ * Draws a small preview of a grid on a canvas (letters as white cells)
+ * Right-to-left grids are drawn with column 0 on the right, as in the main grid
+ */
+function GridThumbnail({ grid, rtl }) {
+  const canvasRef = useRef(null);
+
+  const height = grid.length;
+  const width = grid[0].length;
+  const cellSize = THUMBNAIL_SIZE / Math.max(width, height);
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width * cellSize, height * cellSize);
+
+    ctx.fillStyle = '#fff';
+    for (let r = 0; r < height; r++) {
+      for (let c = 0; c < width; c++) {
+        if (isWhite(grid[r][c])) {
+          const x = (rtl ? width - 1 - c : c) * cellSize;
+          ctx.fillRect(x + 0.5, r * cellSize + 0.5, cellSize - 1, cellSize - 1);
+        }
+      }
+    }
+  }, [grid, rtl, width, height, cellSize]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="grid-thumbnail"
+      width={width * cellSize}
+      height={height * cellSize}
+    />
+  );
+}
+
+/**
+ * CandidateGallery Component
+ * Shows generated candidate layouts as thumbnails with metrics
+ * Clicking a candidate loads it into the grid; the others stay available until Reset
+ */
+function CandidateGallery({ candidates, selectedIndex, onSelect, rtl = false }) {
+  if (!candidates || candidates.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="candidate-gallery">
+      <h3>Candidate Layouts</h3>
+      <div className="candidate-list">
+        {candidates.map((candidate, index) => {
+          const { wordsPlaced, totalWords, intersections, boundingBox, density } = candidate.metrics;
+          return (
+            <button
+              key={index}
+              className={`candidate-card ${index === selectedIndex ? 'selected' : ''}`}
+              onClick={() => onSelect(index)}
+              title={`Load layout ${index + 1}`}
+            >
+              <GridThumbnail grid={candidate.grid} rtl={rtl} />
+              <div className="candidate-metrics">
+                <span>Words: {wordsPlaced} / {totalWords}</span>
+                <span>Intersections: {intersections}</span>
+                <span>Size: {boundingBox.width}×{boundingBox.height}</span>
+                <span>Density: {Math.round(density * 100)}%</span>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default CandidateGallery;
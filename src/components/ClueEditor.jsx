@@ -1,71 +1,147 @@
+import { useState } from 'react';
+import { DEFAULT_ALPHABET, getAlphabet } from '../utils/alphabets';
+import { countLetters, getEnumeration } from '../utils/enumerations';
+import { linkedAnswer, linkNumber, resolveLinks } from '../utils/linkedAnswers';
+import { slotName } from '../utils/slots';
+
 /**
  * ClueEditor Component
  * Two sections: "Across" and "Down"
- * Lists each numbered word with an input field for the clue
+ * Lists each slot (numbered entry) with an input field for the clue
  * Display names (words in parentheses) are editable
- * Clues are keyed by word (not number) so they follow words when renumbered
+ * Clues are keyed by slot id (not number or word) so they follow entries when renumbered,
+ * and a repeated answer can have a different clue in each slot (see slots.js)
+ * Each clue can show its enumeration, worked out from the display name as it is edited
+ * Slots can be linked into one answer: Link on one slot, then Continue here on the next.
+ * The first slot carries the clue, the others read "See 12-Across".
  */
-function ClueEditor({ acrossWords, downWords, clues, displayNames, onClueChange, onDisplayNameChange }) {
+function ClueEditor({
+  slots,
+  clues,
+  displayNames,
+  enumerations,
+  links = [],
+  alphabet = getAlphabet(DEFAULT_ALPHABET),
+  onClueChange,
+  onDisplayNameChange,
+  onEnumerationChange,
+  onLinkSlots,
+  onUnlinkSlot
+}) {
+  // Slot whose answer is being continued in another slot (while linking)
+  const [linkFrom, setLinkFrom] = useState(null);
+
   // Get display name (with spaces) or fall back to the word itself
   const getDisplayName = (word) => displayNames?.[word] || word;
 
-  // Filter out duplicate words, keeping the first occurrence
-  const uniqueAcrossWords = acrossWords?.filter((item, index, self) =>
-    index === self.findIndex(w => w.word === item.word)
-  ) || [];
+  // Toggle for the enumeration shown after a clue
+  // Flagged when the display name doesn't have as many letters as the answer
+  const renderEnumeration = (id, answer, letters) => {
+    const enumeration = getEnumeration(answer, alphabet);
+    const mismatch = countLetters(answer, alphabet) !== countLetters(letters, alphabet);
 
-  const uniqueDownWords = downWords?.filter((item, index, self) =>
-    index === self.findIndex(w => w.word === item.word)
-  ) || [];
+    return (
+      <label
+        className={`clue-enumeration${mismatch ? ' mismatch' : ''}`}
+        title={mismatch ? 'The display name does not match the answer length' : 'Show the enumeration after the clue'}
+      >
+        <input
+          type="checkbox"
+          checked={Boolean(enumerations?.[id])}
+          onChange={(e) => onEnumerationChange?.(id, e.target.checked)}
+        />
+        {enumeration}
+      </label>
+    );
+  };
 
-  if (!uniqueAcrossWords.length && !uniqueDownWords.length) {
+  if (!slots?.length) {
     return null;
   }
 
+  const resolvedLinks = resolveLinks(links, slots);
+
+  // Buttons for linking a slot to others (by id)
+  const renderLinkButtons = (id, isLinked) => {
+    if (linkFrom === id) {
+      return <button className="clue-link-button" onClick={() => setLinkFrom(null)}>Cancel</button>;
+    }
+
+    return (
+      <>
+        {linkFrom ? (
+          <button
+            className="clue-link-button"
+            onClick={() => {
+              onLinkSlots?.(linkFrom, id);
+              setLinkFrom(null);
+            }}
+            title="Continue the answer in this slot"
+          >
+            Continue here
+          </button>
+        ) : (
+          <button
+            className="clue-link-button"
+            onClick={() => setLinkFrom(id)}
+            title="Continue this answer in another slot"
+          >
+            Link
+          </button>
+        )}
+        {isLinked && (
+          <button className="clue-link-button" onClick={() => onUnlinkSlot?.(id)} title="Make this slot an answer of its own">
+            Unlink
+          </button>
+        )}
+      </>
+    );
+  };
+
+  const renderRow = (slot) => {
+    const { id, number, word } = slot;
+    const link = resolvedLinks.find(l => l.includes(slot)) || null;
+    const first = link?.[0];
+    const isContinuation = Boolean(link) && first !== slot;
+
+    return (
+      <div key={id} className={`clue-row${link ? ' linked' : ''}`}>
+        <span className="clue-number">{link && !isContinuation ? linkNumber(link) : number}.</span>
+        <input
+          type="text"
+          className="clue-word-input"
+          value={getDisplayName(word)}
+          onChange={(e) => onDisplayNameChange?.(word, e.target.value)}
+          title="Edit display name"
+        />
+        {isContinuation ? (
+          <input type="text" value={`See ${slotName(first)}`} disabled />
+        ) : (
+          <input
+            type="text"
+            placeholder="Enter clue..."
+            value={clues[id] || ''}
+            onChange={(e) => onClueChange(id, e.target.value)}
+          />
+        )}
+        {!isContinuation && (link
+          ? renderEnumeration(id, linkedAnswer(link, getDisplayName), link.map(s => s.word).join(''))
+          : renderEnumeration(id, getDisplayName(word), word))}
+        {renderLinkButtons(id, Boolean(link))}
+      </div>
+    );
+  };
+
   return (
     <div className="clue-editor">
       <div className="clue-section">
         <h3>Across</h3>
-        {uniqueAcrossWords.map(({ number, word }) => (
-          <div key={`across-${word}`} className="clue-row">
-            <span className="clue-number">{number}.</span>
-            <input
-              type="text"
-              className="clue-word-input"
-              value={getDisplayName(word)}
-              onChange={(e) => onDisplayNameChange?.(word, e.target.value)}
-              title="Edit display name"
-            />
-            <input
-              type="text"
-              placeholder="Enter clue..."
-              value={clues.across[word] || ''}
-              onChange={(e) => onClueChange('across', word, e.target.value)}
-            />
-          </div>
-        ))}
+        {slots.filter(slot => slot.direction === 'across').map(renderRow)}
       </div>
 
       <div className="clue-section">
         <h3>Down</h3>
-        {uniqueDownWords.map(({ number, word }) => (
-          <div key={`down-${word}`} className="clue-row">
-            <span className="clue-number">{number}.</span>
-            <input
-              type="text"
-              className="clue-word-input"
-              value={getDisplayName(word)}
-              onChange={(e) => onDisplayNameChange?.(word, e.target.value)}
-              title="Edit display name"
-            />
-            <input
-              type="text"
-              placeholder="Enter clue..."
-              value={clues.down[word] || ''}
-              onChange={(e) => onClueChange('down', word, e.target.value)}
-            />
-          </div>
-        ))}
+        {slots.filter(slot => slot.direction === 'down').map(renderRow)}
       </div>
     </div>
   );
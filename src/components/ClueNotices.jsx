@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { slotName } from '../utils/slots';
+
+/**
+ * A clue whose answer was removed from the grid, with a choice of slot to restore it to
+ */
+function RemovedClueNotice({ notice, slots, clues, onClueChange, onDismiss }) {
+  const [target, setTarget] = useState('');
+
+  const handleRestore = () => {
+    onClueChange(target, notice.clue);
+    onDismiss(notice);
+  };
+
+  return (
+    <li>
+      <strong>{notice.word}</strong> ({notice.name}) was removed with its clue “{notice.clue}”.
+      <select value={target} onChange={(e) => setTarget(e.target.value)}>
+        <option value="">Restore to...</option>
+        {slots.map(slot => (
+          <option key={slot.id} value={slot.id}>
+            {slotName(slot)} {slot.word}{clues[slot.id] ? ' (replaces its clue)' : ''}
+          </option>
+        ))}
+      </select>
+      <button onClick={handleRestore} disabled={!target}>Restore</button>
+      <button onClick={() => onDismiss(notice)}>Discard</button>
+    </li>
+  );
+}
+
+/**
+ * ClueNotices Component
+ * Asks what to do with the clues of edited and removed answers (see slots.js):
+ * an edited answer keeps its clue unless it is cleared, and a removed answer's
+ * clue can be restored to another slot
+ */
+function ClueNotices({ notices, slots, clues, onClueChange, onDismiss }) {
+  if (!notices.length) return null;
+
+  return (
+    <div className="warning clue-notices">
+      <ul>
+        {notices.map((notice, index) => (notice.type === 'changed' ? (
+          <li key={`changed-${notice.id}`}>
+            {notice.name} changed from <strong>{notice.from}</strong> to <strong>{notice.to}</strong>.
+            Keep its clue “{notice.clue}”?
+            <button onClick={() => onDismiss(notice)}>Keep</button>
+            <button
+              onClick={() => {
+                onClueChange(notice.id, '');
+                onDismiss(notice);
+              }}
+            >
+              Clear
+            </button>
+          </li>
+        ) : (
+          <RemovedClueNotice
+            key={`removed-${index}-${notice.word}`}
+            notice={notice}
+            slots={slots}
+            clues={clues}
+            onClueChange={onClueChange}
+            onDismiss={onDismiss}
+          />
+        )))}
+      </ul>
+    </div>
+  );
+}
+
+export default ClueNotices;
@@ -1,22 +1,63 @@
 import { forwardRef, useState, useRef, useEffect } from 'react';
+import { BLOCK, UNFILLED, isBlock, isFilled, isRebus, isWhite } from '../utils/cellUtils';
+import { isInsideMask } from '../utils/shapeMasks';
+import { formatScore } from '../utils/replay';
+import { SYMMETRIES } from '../utils/blockPatterns';
+import { hasBarRight, hasBarBelow } from '../utils/bars';
+import { DEFAULT_ALPHABET, getAlphabet, toPuzzleCase } from '../utils/alphabets';
+
+const ISLAND_COLOURS = 6; // Tints cycled through for islands (see .island-N in App.css)
 
 /**
  * CrosswordGrid Component
  * Displays the generated crossword grid
- * - Black cells for unused squares (clickable to add letters)
+ * - Black cells for unused (void) squares (clickable to add letters) and for blocks
  * - White cells for letters (editable)
  * - Numbers in top-left corner of word-start cells
  * - Multi-cell selection with shift+click or click+drag
  * - Word suggestions from Datamuse API for selected patterns
+ * - Block tool: clicking toggles a block, and its partner under the chosen symmetry (rotational or
+ *   mirror); while it is on, void squares are shown grey so they can be told apart from blocks
+ * - Bar tool for barred grids: clicking near a cell edge adds or removes a bar there
+ * - Rebus entry (Rebus button or Insert): type several letters or a symbol into the selected cells,
+ *   Enter to finish, Escape to cancel; also how digraphs such as Dutch IJ are typed into one cell
+ * - Typing accepts the letters of the puzzle alphabet (see alphabets.js)
+ * - Right-to-left puzzles: column 0 is drawn on the right and arrow keys, bars and shifting follow the screen
+ * - Shape masks: cells outside the shape are left blank, so only the shape is drawn (and exported)
+ * - Islands: when the letters split into separate groups, each group is tinted (not exported)
+ * - Replay overlay: candidate positions for a word, with their scores; the chosen one shows the word
  */
 const CrosswordGrid = forwardRef(function CrosswordGrid(
-  { grid, cellNumbers, showLetters = true, onCellChange, canShift, onShift, pencilMarks = {}, onPencilChange },
+  {
+    grid,
+    mask = null,
+    islandLabels = null,
+    overlay = null,
+    cellNumbers,
+    showLetters = true,
+    onCellChange,
+    canShift,
+    onShift,
+    pencilMarks = {},
+    onPencilChange,
+    onToggleBlock,
+    blockSymmetry = SYMMETRIES.ROTATIONAL,
+    onBlockSymmetryChange,
+    bars = {},
+    onToggleBar,
+    alphabet = getAlphabet(DEFAULT_ALPHABET),
+    rtl = false
+  },
   ref
 ) {
   const [selectedCells, setSelectedCells] = useState(new Set());
   const [isDragging, setIsDragging] = useState(false);
   const [dragStart, setDragStart] = useState(null);
   const [pencilMode, setPencilMode] = useState(false);
+  const [blockTool, setBlockTool] = useState(false);
+  const [barTool, setBarTool] = useState(false);
+  const [rebusMode, setRebusMode] = useState(false);
+  const [rebusText, setRebusText] = useState('');
   // Each direction has array of {pattern, cells, key} objects
   const [wordInfos, setWordInfos] = useState({ across: [], down: [] });
   const [suggestions, setSuggestions] = useState({}); // keyed by pattern
@@ -31,9 +72,9 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
     }
   }, [selectedCells]);
 
-  // Fetch word suggestions when selection changes
+  // Fetch word suggestions when selection changes (the Datamuse word list is English)
   useEffect(() => {
-    if (!grid || selectedCells.size < 1) {
+    if (!grid || selectedCells.size < 1 || alphabet.id !== DEFAULT_ALPHABET) {
       setWordInfos({ across: [], down: [] });
       setSuggestions({});
       return;
@@ -117,7 +158,7 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
 
     const debounceTimer = setTimeout(fetchAllSuggestions, 300);
     return () => clearTimeout(debounceTimer);
-  }, [selectedCells, grid]);
+  }, [selectedCells, grid, alphabet]);
 
   // Get pattern info for a single cell in a specific direction
   const getPatternForCellInDirection = (row, col, isHorizontal) => {
@@ -128,7 +169,7 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
     // Helper: check if a cell is part of the word (filled OR selected)
     const isPartOfWord = (r, c) => {
       if (r < 0 || r >= height || c < 0 || c >= width) return false;
-      return grid[r][c] !== null || selectedSet.has(`${r}-${c}`);
+      return isWhite(grid[r][c]) || selectedSet.has(`${r}-${c}`);
     };
 
     const cells = [];
@@ -179,7 +220,8 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
 
     if (cells.length < 2) return null;
 
-    const pattern = cells.map(c => c.letter || '?').join('');
+    // Rebus cells read as one unknown letter, so the pattern keeps one character per cell
+    const pattern = cells.map(c => (isRebus(c.letter) ? '?' : c.letter || '?')).join('');
     return { pattern, allCells: cells };
   };
 
@@ -266,10 +308,96 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
 
   const cellKey = (row, col) => `${row}-${col}`;
 
+  // Replay overlay ({ word, candidates, chosen }): which candidate covers each cell
+  // (the chosen one wins), and the scores to show at each candidate's first cell
+  const overlayCells = {};
+  const overlayScores = {};
+  overlay?.candidates.forEach((candidate, index) => {
+    const isChosen = index === overlay.chosen;
+    for (let i = 0; i < overlay.word.length; i++) {
+      const key = cellKey(
+        candidate.isHorizontal ? candidate.row : candidate.row + i,
+        candidate.isHorizontal ? candidate.col + i : candidate.col
+      );
+      if (isChosen || !overlayCells[key]) {
+        overlayCells[key] = { isChosen, letter: overlay.word[i] };
+      }
+    }
+    const startKey = cellKey(candidate.row, candidate.col);
+    overlayScores[startKey] = [...(overlayScores[startKey] || []), formatScore(candidate.score)];
+  });
+
+  // Start typing a rebus into the selected cells, from the first one's current text
+  const startRebus = () => {
+    if (selectedCells.size === 0) return;
+    const [row, col] = Array.from(selectedCells)[0].split('-').map(Number);
+    setRebusText(isFilled(grid[row][col]) ? grid[row][col] : '');
+    setRebusMode(true);
+  };
+
+  // Write the typed rebus into the selected cells (nothing typed clears them)
+  // A digraph of the alphabet becomes its single letter (see alphabets.js)
+  const finishRebus = () => {
+    const text = toPuzzleCase(rebusText.trim(), alphabet);
+    const changes = Array.from(selectedCells).map(key => {
+      const [row, col] = key.split('-').map(Number);
+      onPencilChange?.(row, col, null);
+      return { row, col, letter: text || null };
+    });
+    if (changes.length > 0) {
+      onCellChange?.(changes);
+    }
+    setRebusMode(false);
+    setRebusText('');
+  };
+
+  const handleRebusKey = (e) => {
+    e.preventDefault();
+    if (e.key === 'Enter' || e.key === 'Insert') {
+      finishRebus();
+    } else if (e.key === 'Escape') {
+      setRebusMode(false);
+      setRebusText('');
+    } else if (e.key === 'Backspace') {
+      setRebusText(rebusText.slice(0, -1));
+    } else if (e.key.length === 1 && e.key !== ' ' && e.key !== BLOCK && e.key !== UNFILLED) {
+      // BLOCK and UNFILLED already mean something in a cell
+      setRebusText(rebusText + toPuzzleCase(e.key, alphabet));
+    }
+  };
+
+  // Left and right on screen are swapped in the grid's columns for right-to-left puzzles
+  const toGridSide = (side) => {
+    if (!rtl) return side;
+    if (side === 'left') return 'right';
+    if (side === 'right') return 'left';
+    return side;
+  };
+
   const handleMouseDown = (e, rowIndex, colIndex) => {
     e.preventDefault();
     const key = cellKey(rowIndex, colIndex);
 
+    if (rebusMode) {
+      finishRebus();
+    }
+
+    if (blockTool && onToggleBlock) {
+      onToggleBlock(rowIndex, colIndex);
+      return;
+    }
+
+    if (barTool && onToggleBar) {
+      // The edge nearest the click
+      const rect = e.currentTarget.getBoundingClientRect();
+      const x = (e.clientX - rect.left) / rect.width;
+      const y = (e.clientY - rect.top) / rect.height;
+      const distances = { left: x, right: 1 - x, top: y, bottom: 1 - y };
+      const side = Object.keys(distances).reduce((a, b) => (distances[b] < distances[a] ? b : a));
+      onToggleBar(rowIndex, colIndex, toGridSide(side));
+      return;
+    }
+
     if (e.shiftKey && selectedCells.size > 0) {
       // Shift+click: select range from last selected to current
       const lastSelected = Array.from(selectedCells).pop();
@@ -323,7 +451,17 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
   const handleKeyDown = (e) => {
     if (selectedCells.size === 0) return;
 
-    const letter = e.key.toUpperCase();
+    if (rebusMode) {
+      handleRebusKey(e);
+      return;
+    }
+    if (e.key === 'Insert') {
+      e.preventDefault();
+      startRebus();
+      return;
+    }
+
+    const letter = e.key.length === 1 ? toPuzzleCase(e.key, alphabet) : e.key;
 
     // Arrow key navigation
     if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
@@ -337,6 +475,7 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
       let newRow = row;
       let newCol = col;
 
+      const step = rtl ? -1 : 1;
       switch (e.key) {
         case 'ArrowUp':
           newRow = Math.max(0, row - 1);
@@ -345,10 +484,10 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
           newRow = Math.min(height - 1, row + 1);
           break;
         case 'ArrowLeft':
-          newCol = Math.max(0, col - 1);
+          newCol = Math.min(width - 1, Math.max(0, col - step));
           break;
         case 'ArrowRight':
-          newCol = Math.min(width - 1, col + 1);
+          newCol = Math.min(width - 1, Math.max(0, col + step));
           break;
       }
 
@@ -385,7 +524,7 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
     } else if (e.key === 'Escape') {
       setSelectedCells(new Set());
       setSuggestions({});
-    } else if (/^[A-Z]$/.test(letter)) {
+    } else if (letter.length === 1 && alphabet.letters.includes(letter)) {
       e.preventDefault();
       // Set letter in all selected cells
       selectedCells.forEach((key) => {
@@ -418,16 +557,19 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
       setSelectedCells(new Set());
       setSuggestions({});
       setWordInfos({ across: [], down: [] });
+      setRebusMode(false);
+      setRebusText('');
     }
   };
 
   // Shift button component
   const ShiftButton = ({ direction, toEdge, label }) => {
-    const disabled = !canShift?.(direction);
+    const gridDirection = toGridSide(direction);
+    const disabled = !canShift?.(gridDirection);
     return (
       <button
         className={`shift-btn shift-${direction}${toEdge ? '-edge' : ''}`}
-        onClick={() => onShift?.(direction, toEdge)}
+        onClick={() => onShift?.(gridDirection, toEdge)}
         disabled={disabled}
         title={`Shift ${toEdge ? 'all the way ' : ''}${direction}`}
       >
@@ -441,6 +583,7 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
       <div className="grid-toolbar">
         <p className="grid-hint">
           Click to select, Shift+click or drag to select multiple. Type to fill, Backspace to clear.
+          Rebus (or Insert) to type several letters into one cell.
         </p>
         <button
           className={`pencil-mode-btn ${pencilMode ? 'active' : ''}`}
@@ -449,6 +592,53 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
         >
           {pencilMode ? 'Pencil Mode On' : 'Pencil Mode Off'}
         </button>
+        {/* Pressing the button keeps the grid focused, so the selection stays */}
+        <button
+          className={`pencil-mode-btn ${rebusMode ? 'active' : ''}`}
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => (rebusMode ? finishRebus() : startRebus())}
+          disabled={!rebusMode && selectedCells.size === 0}
+          title={rebusMode ? 'Finish the rebus (Enter)' : 'Type several letters or a symbol into the selected cells'}
+        >
+          {rebusMode ? 'Finish Rebus' : 'Rebus'}
+        </button>
+        {onToggleBlock && (
+          <button
+            className={`pencil-mode-btn ${blockTool ? 'active' : ''}`}
+            onClick={() => {
+              setBlockTool(!blockTool);
+              setBarTool(false);
+            }}
+            title={blockTool ? 'Turn off block tool' : 'Click cells to toggle blocks'}
+          >
+            {blockTool ? 'Block Tool On' : 'Block Tool Off'}
+          </button>
+        )}
+        {onToggleBar && (
+          <button
+            className={`pencil-mode-btn ${barTool ? 'active' : ''}`}
+            onClick={() => {
+              setBarTool(!barTool);
+              setBlockTool(false);
+            }}
+            title={barTool ? 'Turn off bar tool' : 'Click near a cell edge to add or remove a bar'}
+          >
+            {barTool ? 'Bar Tool On' : 'Bar Tool Off'}
+          </button>
+        )}
+        {onToggleBlock && blockTool && (
+          <select
+            className="block-symmetry"
+            value={blockSymmetry}
+            onChange={(e) => onBlockSymmetryChange?.(e.target.value)}
+            title="Blocks are added and removed in pairs that keep this symmetry"
+          >
+            <option value={SYMMETRIES.NONE}>No symmetry</option>
+            <option value={SYMMETRIES.ROTATIONAL}>Rotational (180°)</option>
+            <option value={SYMMETRIES.MIRROR}>Mirror (left-right)</option>
+            <option value={SYMMETRIES.MIRROR_VERTICAL}>Mirror (top-bottom)</option>
+          </select>
+        )}
       </div>
 
       {/* Grid with shift controls */}
@@ -474,9 +664,10 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
               if (typeof ref === 'function') ref(el);
               else if (ref) ref.current = el;
             }}
-            className="crossword-grid"
+            className={`crossword-grid ${mask ? 'masked' : ''} ${islandLabels ? 'show-islands' : ''} ${blockTool && onToggleBlock ? 'block-tool' : ''} ${rtl ? 'rtl' : ''}`}
             style={{
               display: 'grid',
+              direction: rtl ? 'rtl' : 'ltr',
               gridTemplateColumns: `repeat(${width}, 1fr)`,
               gridTemplateRows: `repeat(${height}, 1fr)`,
             }}
@@ -491,10 +682,16 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
                 const cellNum = cellNumbers?.[rowIndex]?.[colIndex];
                 const key = cellKey(rowIndex, colIndex);
                 const pencilMark = pencilMarks[key] || '';
-                const hasRegularLetter = cell !== null;
+                const hasRegularLetter = isFilled(cell);
                 const hasPencilMark = pencilMark.length > 0;
-                const isBlack = !hasRegularLetter && !hasPencilMark;
+                const isBlack = !isWhite(cell) && !hasPencilMark;
                 const isSelected = selectedCells.has(key);
+                const isRebusEntry = rebusMode && isSelected;
+                const isOutside = !isInsideMask(mask, rowIndex, colIndex);
+                const barClass = `${hasBarRight(bars, rowIndex, colIndex) ? 'bar-right' : ''} ${hasBarBelow(bars, rowIndex, colIndex) ? 'bar-bottom' : ''}`;
+                const island = islandLabels?.[rowIndex]?.[colIndex] ?? -1;
+                const overlayCell = overlayCells[key];
+                const overlayClass = overlayCell ? (overlayCell.isChosen ? 'candidate chosen' : 'candidate') : '';
                 // Sort pencil marks alphabetically for consistent display
                 const sortedPencilMarks = pencilMark.split('').sort().join('');
 
@@ -502,15 +699,24 @@ const CrosswordGrid = forwardRef(function CrosswordGrid(
                   <div
                     key={key}
                     ref={(el) => { cellRefs.current[key] = el; }}
-                    className={`grid-cell ${isBlack ? 'black' : 'white'} ${isSelected ? 'selected' : ''} editable`}
+                    className={`grid-cell ${isOutside ? 'outside' : isBlock(cell) ? 'black block' : isBlack ? 'black' : 'white'} ${isSelected ? 'selected' : ''} ${island >= 0 ? `island-${island % ISLAND_COLOURS}` : ''} ${overlayClass} ${barClass} editable`}
                     onMouseDown={(e) => handleMouseDown(e, rowIndex, colIndex)}
                     onMouseEnter={(e) => handleMouseEnter(e, rowIndex, colIndex)}
                   >
                     {cellNum && <span className="cell-number">{cellNum}</span>}
-                    {showLetters && hasRegularLetter && (
-                      <span className="cell-letter">{cell}</span>
+                    {overlayScores[key] && (
+                      <span className="candidate-score">{overlayScores[key].join(' / ')}</span>
+                    )}
+                    {overlayCell?.isChosen && !hasRegularLetter && (
+                      <span className="cell-letter ghost-letter">{overlayCell.letter}</span>
+                    )}
+                    {isRebusEntry && (
+                      <span className="cell-letter rebus rebus-entry">{rebusText}</span>
+                    )}
+                    {showLetters && hasRegularLetter && !isRebusEntry && (
+                      <span className={`cell-letter ${isRebus(cell) ? 'rebus' : ''}`}>{cell}</span>
                     )}
-                    {showLetters && !hasRegularLetter && hasPencilMark && (
+                    {showLetters && !hasRegularLetter && hasPencilMark && !isRebusEntry && (
                       <div className="pencil-marks">
                         {sortedPencilMarks.split('').map((letter, i) => (
                           <span key={i} className="pencil-letter">{letter}</span>
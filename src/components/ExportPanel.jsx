@@ -1,5 +1,10 @@
 import html2canvas from 'html2canvas';
-import { jsPDF } from 'jspdf';
+import { getPlacementsFromGrid } from '../utils/gridUtils';
+import { gridToPattern } from '../utils/blockPatterns';
+import { createPdf, addGridPages, openPdf } from '../utils/pdfExport';
+import { getAlphabet } from '../utils/alphabets';
+import { buildClueLines } from '../utils/linkedAnswers';
+import { saveSlots } from '../utils/slots';
 
 /**
  * ExportPanel Component
@@ -7,89 +12,37 @@ import { jsPDF } from 'jspdf';
 function ExportPanel({
   gridRef,
   grid,
+  puzzleMode,
+  shapeMask,
   gridWidth,
   gridHeight,
+  seed,
+  pinnedWords,
+  wordOptions,
+  scoring,
+  alphabetId,
+  foldDiacritics,
+  words,
   displayNames,
+  bars,
   clues,
-  acrossWords,
-  downWords,
+  enumerations,
+  links,
+  slots,
   onLoad,
   disabled
 }) {
   const getDisplayName = (word) => displayNames?.[word] || word;
 
-  // === HELPER: Rebuild placements from the grid ===
-  // Note: Grid cells are plain strings (e.g., "A") or null for black squares
-  const getPlacementsFromGrid = () => {
-    const placementsList = [];
-    const height = grid.length;
-    const width = grid[0].length;
-
-    // Across
-    for (let r = 0; r < height; r++) {
-      let c = 0;
-      while (c < width) {
-        const cell = grid[r][c];
-        if (cell !== null) {
-          const startCol = c;
-          let word = '';
-          while (c < width && grid[r][c] !== null) {
-            word += grid[r][c];
-            c++;
-          }
-          if (word.length > 1) {
-            placementsList.push({
-              word,
-              row: r,
-              col: startCol,
-              isHorizontal: true
-            });
-          }
-        } else {
-          c++;
-        }
-      }
-    }
-
-    // Down
-    for (let c = 0; c < width; c++) {
-      let r = 0;
-      while (r < height) {
-        const cell = grid[r][c];
-        if (cell !== null) {
-          const startRow = r;
-          let word = '';
-          while (r < height && grid[r][c] !== null) {
-            word += grid[r][c];
-            r++;
-          }
-          if (word.length > 1) {
-            placementsList.push({
-              word,
-              row: startRow,
-              col: c,
-              isHorizontal: false
-            });
-          }
-        } else {
-          r++;
-        }
-      }
-    }
-
-    return placementsList;
-  };
-
   // === SAVE JSON ===
   const handleSave = () => {
     const filename = prompt('Enter filename:', 'crossword');
     if (!filename) return;
 
     const allWords = new Set();
-    acrossWords?.forEach(({ word }) => allWords.add(word));
-    downWords?.forEach(({ word }) => allWords.add(word));
+    slots?.forEach(({ word }) => allWords.add(word));
 
-    const updatedPlacements = getPlacementsFromGrid();
+    const updatedPlacements = getPlacementsFromGrid(grid, bars);
 
     // Update displayNames: just use the word itself
     const updatedDisplayNames = { ...displayNames };
@@ -99,25 +52,38 @@ function ExportPanel({
       }
     });
 
-    // Update clues: add empty strings for new words if missing
-    const updatedClues = {
-      across: { ...clues.across },
-      down: { ...clues.down }
-    };
-    acrossWords?.forEach(({ word }) => {
-      if (!updatedClues.across[word]) updatedClues.across[word] = '';
-    });
-    downWords?.forEach(({ word }) => {
-      if (!updatedClues.down[word]) updatedClues.down[word] = '';
+    // Update clues: add empty strings for new slots if missing
+    const updatedClues = { ...clues };
+    slots?.forEach(({ id }) => {
+      if (!updatedClues[id]) updatedClues[id] = '';
     });
 
     const data = {
+      puzzleMode,
+      // Block-pattern puzzles keep their blocks and unfilled cells, which placements can't express
+      blockPattern: puzzleMode === 'american' ? gridToPattern(grid) : undefined,
+      shapeMask: shapeMask || undefined,
       gridWidth,
       gridHeight,
+      seed,
+      sourceWords: words, // Generator input, needed to regenerate the layout from the seed
+      pinnedWords,
+      wordOptions,
+      scoring, // Generator scoring options, also needed to regenerate from the seed
+      alphabet: alphabetId, // Letters words may use (see alphabets.js)
+      foldDiacritics: foldDiacritics || undefined,
       words: Array.from(allWords),
       displayNames: updatedDisplayNames,
       placements: updatedPlacements,
-      clues: updatedClues
+      // Every cell: a letter, '' (empty white cell), '#' (block) or null (not part of the puzzle)
+      cells: grid,
+      bars: Object.keys(bars || {}).length > 0 ? bars : undefined, // Barred grids (see bars.js)
+      slots: saveSlots(slots || []), // Numbered entries the clues are keyed by (see slots.js)
+      clues: updatedClues,
+      // Slots whose clues show an enumeration (see enumerations.js)
+      enumerations: Object.keys(enumerations || {}).length > 0 ? enumerations : undefined,
+      // Answers split over several slots, as lists of slot ids (see linkedAnswers.js)
+      links: links?.length > 0 ? links : undefined
     };
 
     const json = JSON.stringify(data, null, 2);
@@ -160,8 +126,7 @@ function ExportPanel({
   // === EXPORT WORDS TEXT FILE ===
   const handleExportWords = () => {
     const allWords = new Set();
-    acrossWords?.forEach(({ word }) => allWords.add(getDisplayName(word)));
-    downWords?.forEach(({ word }) => allWords.add(getDisplayName(word)));
+    slots?.forEach(({ word }) => allWords.add(getDisplayName(word)));
 
     if (allWords.size === 0) {
       alert('No words to export');
@@ -198,6 +163,11 @@ function ExportPanel({
         backgroundColor: '#ffffff',
         scale: 2,
         onclone: (clonedDoc) => {
+          // Drop the island tints and block tool shading
+          clonedDoc.querySelectorAll('.show-islands')
+            .forEach(el => el.classList.remove('show-islands'));
+          clonedDoc.querySelectorAll('.block-tool')
+            .forEach(el => el.classList.remove('block-tool'));
           // Hide regular letters and pencil marks for empty puzzle
           clonedDoc.querySelectorAll('.cell-letter')
             .forEach(el => (el.style.display = 'none'));
@@ -210,6 +180,11 @@ function ExportPanel({
         backgroundColor: '#ffffff',
         scale: 2,
         onclone: (clonedDoc) => {
+          // Drop the island tints and block tool shading
+          clonedDoc.querySelectorAll('.show-islands')
+            .forEach(el => el.classList.remove('show-islands'));
+          clonedDoc.querySelectorAll('.block-tool')
+            .forEach(el => el.classList.remove('block-tool'));
           // Show regular letters and hide pencil marks for answer key
           clonedDoc.querySelectorAll('.cell-letter')
             .forEach(el => (el.style.display = 'block'));
@@ -220,212 +195,49 @@ function ExportPanel({
 
       const emptyImgData = emptyCanvas.toDataURL('image/png');
       const filledImgData = filledCanvas.toDataURL('image/png');
-
-      const pdf = new jsPDF('p', 'mm', 'a4');
-      const pageWidth = pdf.internal.pageSize.getWidth();
-
-      const pageHeight = pdf.internal.pageSize.getHeight();
-      const maxWidth = pageWidth - 20; // Smaller margins for larger grid
-      const maxHeight = pageHeight - 40; // Leave room for title
       const aspect = emptyCanvas.width / emptyCanvas.height;
 
-      let imgWidth = maxWidth;
-      let imgHeight = imgWidth / aspect;
-
-      // Scale down if too tall
-      if (imgHeight > maxHeight) {
-        imgHeight = maxHeight;
-        imgWidth = imgHeight * aspect;
-      }
-
-      const imgX = (pageWidth - imgWidth) / 2;
-
-      const PAGE_MARGIN_X = 15;
-      const PAGE_MARGIN_Y = 20;
-      const PAGE_BOTTOM = 285;
-      const COLUMN_GAP = 5;
-      const usableWidth = pageWidth - PAGE_MARGIN_X * 2;
-      const columnWidth = (usableWidth - COLUMN_GAP * 2) / 3; // Explicitly 3 columns
-
-      const fontSize = 9;
-      const titleFontSize = 11;
-      const lineHeight = 4;
-      const titleLineHeight = 5;
-
-      // Filter out duplicate words, keeping the first occurrence
-      const uniqueAcross = acrossWords?.filter((item, index, self) =>
-        index === self.findIndex(w => w.word === item.word)
-      ) || [];
-
-      const uniqueDown = downWords?.filter((item, index, self) =>
-        index === self.findIndex(w => w.word === item.word)
-      ) || [];
-
-      // Build clue items for a section
-      const buildClueItems = (words, title, renderText) => {
-        const items = [];
-        if (words.length) {
-          items.push({ type: 'title', text: title });
-          words.forEach(item => items.push({ type: 'clue', text: renderText(item) }));
-        }
-        return items;
-      };
+      // Every slot has its own clue, so repeated answers are listed each time
+      const allSlots = slots || [];
+      const answerLines = (direction) => allSlots
+        .filter(slot => slot.direction === direction)
+        .map(({ number, word }) => `${number}. ${getDisplayName(word)}`);
 
-      // Build combined clue items for both across and down
-      const buildAllClues = (acrossRenderText, downRenderText) => {
-        return [
-          ...buildClueItems(uniqueAcross, 'Across', acrossRenderText),
-          ...buildClueItems(uniqueDown, 'Down', downRenderText)
-        ];
-      };
+      const pdf = createPdf();
+      const alphabet = getAlphabet(alphabetId);
+      const { rtl } = alphabet;
 
-      // Get height of an item
-      const getItemHeight = (item) => {
-        const isTitle = item.type === 'title';
-        pdf.setFontSize(isTitle ? titleFontSize : fontSize);
-        const lines = pdf.splitTextToSize(item.text, columnWidth - 4);
-        return lines.length * (isTitle ? titleLineHeight : lineHeight) + (isTitle ? 3 : 1);
-      };
-
-      // Calculate if all clues fit in 3 columns starting at startY
-      const calculateAllCluesHeight = (allItems, startY) => {
-        const columnHeights = [0, 0, 0];
-        const maxColumnHeight = PAGE_BOTTOM - startY;
-        let currentColumn = 0;
-        let currentY = 0;
-
-        for (const item of allItems) {
-          const itemHeight = getItemHeight(item);
-
-          if (currentY + itemHeight > maxColumnHeight) {
-            // Move to next column
-            columnHeights[currentColumn] = currentY;
-            currentColumn++;
-            if (currentColumn >= 3) {
-              return { fits: false };
-            }
-            currentY = 0;
-          }
-          currentY += itemHeight;
-        }
-        columnHeights[currentColumn] = currentY;
-
-        return { fits: true, maxHeight: Math.max(...columnHeights) };
-      };
-
-      // Render all clues in 3 columns - guarantees all items are rendered
-      const renderAllClues = (allItems, startY) => {
-        let currentColumn = 0;
-        let currentY = startY;
-        let pageStartY = startY;
-
-        // Calculate x positions for 3 columns
-        const colX = [
-          PAGE_MARGIN_X,
-          PAGE_MARGIN_X + columnWidth + COLUMN_GAP,
-          PAGE_MARGIN_X + (columnWidth + COLUMN_GAP) * 2
-        ];
-
-        for (let i = 0; i < allItems.length; i++) {
-          const item = allItems[i];
-          const isTitle = item.type === 'title';
-          const isDownTitle = isTitle && item.text === 'Down';
-          const itemHeight = getItemHeight(item);
-
-          // Add extra gap before "Down" section
-          const extraGap = isDownTitle ? 6 : 0;
-
-          // Check if need to move to next column or page
-          if (currentY + extraGap + itemHeight > PAGE_BOTTOM && currentY > pageStartY) {
-            // Only move to next column if we've rendered something in current column
-            currentColumn++;
-            if (currentColumn >= 3) {
-              // All 3 columns used, add new page
-              pdf.addPage();
-              currentColumn = 0;
-              pageStartY = PAGE_MARGIN_Y;
-            }
-            currentY = pageStartY;
-          }
-
-          // Add extra gap before "Down" section
-          if (isDownTitle) {
-            currentY += extraGap;
-          }
-
-          // Render the item
-          pdf.setFontSize(isTitle ? titleFontSize : fontSize);
-          pdf.setFont(undefined, isTitle ? 'bold' : 'normal');
-          const lines = pdf.splitTextToSize(item.text, columnWidth - 4);
-          pdf.text(lines, colX[currentColumn], currentY);
-          currentY += itemHeight;
-        }
-      };
-
-      // Check if all clues fit on same page as grid
-      const gridEndY = 35 + imgHeight;
-      const acrossRenderText = ({ number, word }) => `${number}. ${clues.across[word] || ''}`;
-      const downRenderText = ({ number, word }) => `${number}. ${clues.down[word] || ''}`;
-
-      const acrossClues = buildClueItems(uniqueAcross, 'Across', acrossRenderText);
-      const downClues = buildClueItems(uniqueDown, 'Down', downRenderText);
-      const allClues = [...acrossClues, ...downClues];
-      const cluesResult = calculateAllCluesHeight(allClues, gridEndY);
+      // Clue text, with enumerations and "See 12-Across" for linked answers
+      const clueLines = buildClueLines(
+        allSlots,
+        slot => clues[slot.id] || '',
+        { links, displayNames, enumerations, alphabet }
+      );
 
       // Puzzle page
-      pdf.setFontSize(18);
-      pdf.text(filename, pageWidth / 2, 15, { align: 'center' });
-      pdf.addImage(emptyImgData, 'PNG', imgX, 25, imgWidth, imgHeight);
-
-      if (cluesResult.fits) {
-        // Render all clues on same page as grid
-        renderAllClues(allClues, gridEndY);
-      } else {
-        // Render Across and Down on separate pages
-        pdf.addPage();
-        pdf.setFontSize(14);
-        pdf.text('Across', pageWidth / 2, 15, { align: 'center' });
-        renderAllClues(acrossClues.slice(1), PAGE_MARGIN_Y + 5); // Skip title since it's in header
-
-        pdf.addPage();
-        pdf.setFontSize(14);
-        pdf.text('Down', pageWidth / 2, 15, { align: 'center' });
-        renderAllClues(downClues.slice(1), PAGE_MARGIN_Y + 5); // Skip title since it's in header
-      }
+      addGridPages(pdf, {
+        title: filename,
+        image: emptyImgData,
+        aspect,
+        across: clueLines.across,
+        down: clueLines.down,
+        rtl
+      });
 
       // Answer Key page
       pdf.addPage();
-      pdf.setFontSize(18);
-      pdf.text(`${filename} - Answer Key`, pageWidth / 2, 15, { align: 'center' });
-      pdf.addImage(filledImgData, 'PNG', imgX, 25, imgWidth, imgHeight);
-
-      const answerAcrossRenderText = ({ number, word }) => `${number}. ${getDisplayName(word)}`;
-      const answerDownRenderText = ({ number, word }) => `${number}. ${getDisplayName(word)}`;
-
-      const answerAcrossClues = buildClueItems(uniqueAcross, 'Across', answerAcrossRenderText);
-      const answerDownClues = buildClueItems(uniqueDown, 'Down', answerDownRenderText);
-      const answerAllClues = [...answerAcrossClues, ...answerDownClues];
-      const answerCluesResult = calculateAllCluesHeight(answerAllClues, gridEndY);
-
-      if (answerCluesResult.fits) {
-        renderAllClues(answerAllClues, gridEndY);
-      } else {
-        // Render Across and Down answers on separate pages
-        pdf.addPage();
-        pdf.setFontSize(14);
-        pdf.text('Across Answers', pageWidth / 2, 15, { align: 'center' });
-        renderAllClues(answerAcrossClues.slice(1), PAGE_MARGIN_Y + 5);
-
-        pdf.addPage();
-        pdf.setFontSize(14);
-        pdf.text('Down Answers', pageWidth / 2, 15, { align: 'center' });
-        renderAllClues(answerDownClues.slice(1), PAGE_MARGIN_Y + 5);
-      }
+      addGridPages(pdf, {
+        title: `${filename} - Answer Key`,
+        image: filledImgData,
+        aspect,
+        across: answerLines('across'),
+        down: answerLines('down'),
+        pageTitles: ['Across Answers', 'Down Answers'],
+        rtl
+      });
 
       // Open preview in new tab instead of direct download
-      const pdfBlob = pdf.output('blob');
-      const pdfUrl = URL.createObjectURL(pdfBlob);
-      window.open(pdfUrl, '_blank');
+      openPdf(pdf);
     } catch (err) {
       alert('Failed to export PDF: ' + err.message);
     }
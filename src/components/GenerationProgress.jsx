@@ -0,0 +1,48 @@
+/**
+ * GenerationProgress Component
+ * Shows how far a running generation has got (strategies tried, best result so far)
+ * Also used for autofill, which reports how many entries are filled
+ * Cancel stops generating and keeps the best layout found so far
+ */
+function GenerationProgress({ title = 'Generating crossword...', progress, timeLimit, onCancel }) {
+  const isAutofill = progress?.totalSlots !== undefined;
+  const tried = progress?.strategiesTried ?? 0;
+  const total = progress?.totalStrategies ?? 0;
+
+  let percent = total > 0 ? Math.round((tried / total) * 100) : 0;
+  if (isAutofill) {
+    percent = Math.round((progress.filledSlots / progress.totalSlots) * 100);
+  }
+
+  // Auto size reports grid sizes rather than strategies
+  const attempts = progress?.size
+    ? `Grid sizes tried: ${tried} (last ${progress.size.width}×${progress.size.height})`
+    : `Strategies tried: ${tried} / ${total}`;
+
+  let details = 'Starting...';
+  if (isAutofill) {
+    details = `Best so far: ${progress.filledSlots} / ${progress.totalSlots} entries filled`;
+  } else if (progress) {
+    details = `${attempts} · Best so far: ${progress.bestPlaced} / ${progress.totalWords} words placed`;
+  }
+
+  return (
+    <div className="generation-progress">
+      <div className="generation-progress-header">
+        <strong>{title}</strong>
+        <button className="cancel-button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+      <div className="progress-bar">
+        <div className="progress-bar-fill" style={{ width: `${percent}%` }} />
+      </div>
+      <p className="generation-progress-details">
+        {details}
+        {timeLimit > 0 && ` · Time limit: ${timeLimit}s`}
+      </p>
+    </div>
+  );
+}
+
+export default GenerationProgress;
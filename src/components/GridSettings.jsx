@@ -1,8 +1,62 @@
+import { useState, useEffect } from 'react';
+import { parseSeed, randomSeed } from '../utils/random';
+import { ALPHABETS } from '../utils/alphabets';
+
+// Aspect ratio choices for auto size (width / height); null crops to the content
+const ASPECT_RATIOS = [
+  { label: 'Any (crop to fit)', value: null },
+  { label: 'Square (1:1)', value: 1 },
+  { label: 'Landscape (4:3)', value: 4 / 3 },
+  { label: 'Portrait (3:4)', value: 3 / 4 },
+  { label: 'Wide (16:9)', value: 16 / 9 }
+];
+
 /**
  * GridSettings Component
+ * Puzzle style: free-form (criss-cross) or American (block pattern)
+ * Alphabet the words use (right-to-left for Hebrew), and whether letters that only
+ * differ by accents may cross
  * Width and height inputs for the crossword grid
+ * Auto size option that searches for the smallest grid (or one with a set aspect ratio);
+ * not available with a shape mask, which fixes the grid size
+ * Seed input so a layout can be reproduced by generating again with the same seed
+ * Time limit for generation (in seconds)
+ * Number of candidate layouts to generate (more than 1 opens the candidate gallery)
+ * Option to record each generation step so the construction can be replayed
  */
-function GridSettings({ width, height, onWidthChange, onHeightChange, disabled }) {
+function GridSettings({
+  puzzleMode,
+  width,
+  height,
+  seed,
+  timeLimit,
+  candidateCount,
+  autoSize,
+  hasShapeMask,
+  aspectRatio,
+  alphabetId,
+  foldDiacritics,
+  recordReplay,
+  onPuzzleModeChange,
+  onWidthChange,
+  onHeightChange,
+  onSeedChange,
+  onTimeLimitChange,
+  onCandidateCountChange,
+  onAutoSizeChange,
+  onAspectRatioChange,
+  onAlphabetChange,
+  onFoldDiacriticsChange,
+  onRecordReplayChange,
+  disabled
+}) {
+  // Keep the typed text separately so an invalid seed can be shown while editing
+  const [seedText, setSeedText] = useState(String(seed));
+
+  useEffect(() => {
+    setSeedText(String(seed));
+  }, [seed]);
+
   const handleWidthChange = (e) => {
     const value = parseInt(e.target.value, 10);
     if (!isNaN(value) && value >= 5 && value <= 50) {
@@ -17,9 +71,77 @@ function GridSettings({ width, height, onWidthChange, onHeightChange, disabled }
     }
   };
 
+  const handleTimeLimitChange = (e) => {
+    const value = parseInt(e.target.value, 10);
+    if (!isNaN(value) && value >= 1 && value <= 300) {
+      onTimeLimitChange(value);
+    }
+  };
+
+  const handleCandidateCountChange = (e) => {
+    const value = parseInt(e.target.value, 10);
+    if (!isNaN(value) && value >= 1 && value <= 12) {
+      onCandidateCountChange(value);
+    }
+  };
+
+  const handleSeedChange = (e) => {
+    setSeedText(e.target.value);
+    const value = parseSeed(e.target.value);
+    if (value !== null) {
+      onSeedChange(value);
+    }
+  };
+
+  const seedInvalid = parseSeed(seedText) === null;
+
+  // Block-pattern puzzles are not generated from a word list
+  const isFreeform = puzzleMode === 'freeform';
+  const autoSizeOn = isFreeform && autoSize && !hasShapeMask;
+
   return (
     <div className="grid-settings">
-      <h3>Grid Size</h3>
+      <h3>Grid Settings</h3>
+      <div className="settings-row puzzle-mode-row">
+        <label>
+          Puzzle style:
+          <select
+            value={puzzleMode}
+            onChange={(e) => onPuzzleModeChange(e.target.value)}
+            disabled={disabled}
+          >
+            <option value="freeform">Free-form (criss-cross)</option>
+            <option value="american">American (block pattern)</option>
+          </select>
+        </label>
+      </div>
+      <div className="settings-row alphabet-row">
+        <label>
+          Alphabet:
+          <select
+            value={alphabetId}
+            onChange={(e) => onAlphabetChange(e.target.value)}
+            disabled={disabled}
+          >
+            {ALPHABETS.map(alphabet => (
+              <option key={alphabet.id} value={alphabet.id}>
+                {alphabet.name}{alphabet.rtl ? ' (right to left)' : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        {isFreeform && (
+          <label className="checkbox-label" title="Let words cross where their letters only differ by accents (e.g. E and É)">
+            <input
+              type="checkbox"
+              checked={foldDiacritics}
+              onChange={(e) => onFoldDiacriticsChange(e.target.checked)}
+              disabled={disabled}
+            />
+            Ignore accents at crossings
+          </label>
+        )}
+      </div>
       <div className="settings-row">
         <label>
           Width:
@@ -29,7 +151,7 @@ function GridSettings({ width, height, onWidthChange, onHeightChange, disabled }
             onChange={handleWidthChange}
             min={5}
             max={50}
-            disabled={disabled}
+            disabled={disabled || autoSizeOn}
           />
         </label>
         <label>
@@ -40,10 +162,97 @@ function GridSettings({ width, height, onWidthChange, onHeightChange, disabled }
             onChange={handleHeightChange}
             min={5}
             max={50}
+            disabled={disabled || autoSizeOn}
+          />
+        </label>
+        {isFreeform && (
+          <label>
+            Time limit (s):
+            <input
+              type="number"
+              value={timeLimit}
+              onChange={handleTimeLimitChange}
+              min={1}
+              max={300}
+              disabled={disabled}
+            />
+          </label>
+        )}
+      </div>
+      {isFreeform && (
+        <div className="settings-row auto-size-row">
+          <label className="checkbox-label" title={hasShapeMask ? 'A shape sets the grid size' : undefined}>
+            <input
+              type="checkbox"
+              checked={autoSizeOn}
+              onChange={(e) => onAutoSizeChange(e.target.checked)}
+              disabled={disabled || hasShapeMask}
+            />
+            Auto size
+          </label>
+          <select
+            value={ASPECT_RATIOS.findIndex(r => r.value === aspectRatio)}
+            onChange={(e) => onAspectRatioChange(ASPECT_RATIOS[e.target.value].value)}
+            disabled={disabled || !autoSizeOn}
+            title="Shape of the grid searched for"
+          >
+            {ASPECT_RATIOS.map((ratio, index) => (
+              <option key={ratio.label} value={index}>{ratio.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      <div className="settings-row seed-row">
+        <label>
+          Seed:
+          <input
+            type="text"
+            inputMode="numeric"
+            className={seedInvalid ? 'invalid' : ''}
+            value={seedText}
+            onChange={handleSeedChange}
             disabled={disabled}
+            title="The same words, grid size and seed always give the same layout"
           />
         </label>
+        <button
+          className="seed-button"
+          onClick={() => onSeedChange(randomSeed())}
+          disabled={disabled}
+          title="Pick a new random seed"
+        >
+          New Seed
+        </button>
       </div>
+      {isFreeform && (
+        <div className="settings-row candidate-row">
+          <label>
+            Layouts to compare:
+            <input
+              type="number"
+              value={candidateCount}
+              onChange={handleCandidateCountChange}
+              min={1}
+              max={12}
+              disabled={disabled}
+              title="Generate several layouts and pick one (1 = just the best layout)"
+            />
+          </label>
+        </div>
+      )}
+      {isFreeform && (
+        <div className="settings-row replay-row">
+          <label className="checkbox-label" title="Keep every placement decision so the construction can be stepped through">
+            <input
+              type="checkbox"
+              checked={recordReplay}
+              onChange={(e) => onRecordReplayChange(e.target.checked)}
+              disabled={disabled}
+            />
+            Record steps for replay
+          </label>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,220 @@
+import { useState, useMemo } from 'react';
+import { validatePinnedWords } from '../utils/crosswordGenerator';
+import { isInsideMask } from '../utils/shapeMasks';
+import { DEFAULT_ALPHABET, getAlphabet, isAlphabetWord, toPuzzleCase } from '../utils/alphabets';
+
+const MINI_GRID_SIZE = 280; // Pixels along the longer side of the drawing grid
+
+/**
+ * PinnedWords Component
+ * Fixes words at a row/column/direction before generating; the rest of the puzzle is built around them
+ * Positions can be typed in, or drawn on the mini grid by clicking the first and then the last cell
+ * Rows and columns are shown 1-based; pins are stored 0-based like placements
+ * Right-to-left alphabets draw column 1 on the right, like the crossword grid
+ */
+function PinnedWords({
+  pinned,
+  availableWords,
+  width,
+  height,
+  mask,
+  alphabet = getAlphabet(DEFAULT_ALPHABET),
+  onChange,
+  disabled
+}) {
+  const [word, setWord] = useState('');
+  const [row, setRow] = useState(1);
+  const [col, setCol] = useState(1);
+  const [isHorizontal, setIsHorizontal] = useState(true);
+  const [drawStart, setDrawStart] = useState(null); // First clicked cell while drawing
+  const [error, setError] = useState('');
+
+  // Problems with the current pins (e.g. after the grid was made smaller)
+  const pinErrors = useMemo(
+    () => validatePinnedWords(pinned, width, height, mask),
+    [pinned, width, height, mask]
+  );
+
+  // Letters of the pinned words, keyed by "row-col"
+  const pinnedCells = useMemo(() => {
+    const cells = {};
+    for (const pin of pinned) {
+      for (let i = 0; i < pin.word.length; i++) {
+        const r = pin.isHorizontal ? pin.row : pin.row + i;
+        const c = pin.isHorizontal ? pin.col + i : pin.col;
+        cells[`${r}-${c}`] = pin.word[i];
+      }
+    }
+    return cells;
+  }, [pinned]);
+
+  // Cells covered by the pin being set up
+  const draftCells = useMemo(() => {
+    const cells = new Set();
+    const length = Math.max(word.trim().length, 1);
+    for (let i = 0; i < length; i++) {
+      const r = isHorizontal ? row - 1 : row - 1 + i;
+      const c = isHorizontal ? col - 1 + i : col - 1;
+      cells.add(`${r}-${c}`);
+    }
+    return cells;
+  }, [word, row, col, isHorizontal]);
+
+  const handleCellClick = (r, c) => {
+    if (!drawStart || (drawStart.row !== r && drawStart.col !== c)) {
+      // First click (or a second click off the line): start drawing here
+      setDrawStart({ row: r, col: c });
+      setRow(r + 1);
+      setCol(c + 1);
+      return;
+    }
+
+    // Second click on the same row or column: the pin runs between the two cells
+    const horizontal = drawStart.row === r && drawStart.col !== c;
+    const length = horizontal ? Math.abs(c - drawStart.col) + 1 : Math.abs(r - drawStart.row) + 1;
+    setRow(Math.min(drawStart.row, r) + 1);
+    setCol(Math.min(drawStart.col, c) + 1);
+    setIsHorizontal(horizontal);
+    setDrawStart(null);
+
+    // Suggest a word of the drawn length if the current one doesn't fit
+    if (word.trim().length !== length) {
+      const match = availableWords.find(w => w.length === length && !pinned.some(p => p.word === w));
+      if (match) setWord(match);
+    }
+  };
+
+  const handleAdd = () => {
+    const pinWord = toPuzzleCase(word.trim(), alphabet).replace(/\s+/g, '');
+    if (!isAlphabetWord(pinWord, alphabet)) {
+      setError(`Enter a word (${alphabet.name} letters only) to pin`);
+      return;
+    }
+    if (pinned.some(p => p.word === pinWord)) {
+      setError(`"${pinWord}" is already pinned`);
+      return;
+    }
+
+    const pin = { word: pinWord, row: row - 1, col: col - 1, isHorizontal };
+    const errors = validatePinnedWords([...pinned, pin], width, height, mask);
+    if (errors.length > pinErrors.length) {
+      setError(errors[errors.length - 1]);
+      return;
+    }
+
+    setError('');
+    setWord('');
+    onChange([...pinned, pin]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(pinned.filter((_, i) => i !== index));
+  };
+
+  const cellSize = MINI_GRID_SIZE / Math.max(width, height);
+
+  return (
+    <div className="pinned-words">
+      <h3>Pinned Words</h3>
+      <p className="hint">Fix words in place before generating. Click a start and an end cell to draw a position.</p>
+
+      <div
+        className="pin-grid"
+        style={{
+          gridTemplateColumns: `repeat(${width}, ${cellSize}px)`,
+          gridTemplateRows: `repeat(${height}, ${cellSize}px)`,
+          fontSize: `${cellSize * 0.6}px`,
+          direction: alphabet.rtl ? 'rtl' : 'ltr'
+        }}
+      >
+        {Array.from({ length: height }, (_, r) =>
+          Array.from({ length: width }, (_, c) => {
+            const key = `${r}-${c}`;
+            const letter = pinnedCells[key];
+            const isDraft = !disabled && draftCells.has(key);
+            const isStart = drawStart?.row === r && drawStart?.col === c;
+            const isOutside = !isInsideMask(mask, r, c);
+            return (
+              <button
+                key={key}
+                className={`pin-cell ${letter ? 'filled' : ''} ${isDraft ? 'draft' : ''} ${isStart ? 'start' : ''} ${isOutside ? 'outside' : ''}`}
+                onClick={() => handleCellClick(r, c)}
+                disabled={disabled}
+                title={`Row ${r + 1}, column ${c + 1}`}
+              >
+                {letter}
+              </button>
+            );
+          })
+        )}
+      </div>
+
+      <div className="pin-form">
+        <input
+          type="text"
+          list="pin-word-options"
+          placeholder="Word"
+          value={word}
+          onChange={(e) => setWord(toPuzzleCase(e.target.value, alphabet))}
+          disabled={disabled}
+        />
+        <datalist id="pin-word-options">
+          {availableWords.map(w => <option key={w} value={w} />)}
+        </datalist>
+        <label>
+          Row
+          <input
+            type="number"
+            value={row}
+            min={1}
+            max={height}
+            onChange={(e) => setRow(parseInt(e.target.value, 10) || 1)}
+            disabled={disabled}
+          />
+        </label>
+        <label>
+          Col
+          <input
+            type="number"
+            value={col}
+            min={1}
+            max={width}
+            onChange={(e) => setCol(parseInt(e.target.value, 10) || 1)}
+            disabled={disabled}
+          />
+        </label>
+        <select
+          value={isHorizontal ? 'across' : 'down'}
+          onChange={(e) => setIsHorizontal(e.target.value === 'across')}
+          disabled={disabled}
+        >
+          <option value="across">Across</option>
+          <option value="down">Down</option>
+        </select>
+        <button onClick={handleAdd} disabled={disabled || word.trim().length === 0}>
+          Pin
+        </button>
+      </div>
+
+      {error && <p className="error">{error}</p>}
+      {pinErrors.map(message => <p key={message} className="error">{message}</p>)}
+
+      {pinned.length > 0 && (
+        <ul className="pin-list">
+          {pinned.map((pin, index) => (
+            <li key={pin.word}>
+              <span>
+                <strong>{pin.word}</strong> - row {pin.row + 1}, col {pin.col + 1}, {pin.isHorizontal ? 'Across' : 'Down'}
+              </span>
+              <button onClick={() => handleRemove(index)} disabled={disabled} title="Unpin">
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PinnedWords;
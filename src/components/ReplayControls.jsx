@@ -0,0 +1,50 @@
+import { describeStep, formatScore } from '../utils/replay';
+
+/**
+ * ReplayControls Component
+ * Steps through how the generator built the layout (see replay.js): each step shows
+ * the grid so far, the positions considered for the next word with their scores,
+ * and which one was chosen
+ */
+function ReplayControls({ frames, index, onIndexChange }) {
+  if (index === null) {
+    return (
+      <div className="replay-controls">
+        <button onClick={() => onIndexChange(0)}>Replay Construction</button>
+      </div>
+    );
+  }
+
+  const last = frames.length - 1;
+  const { step } = frames[index];
+
+  return (
+    <div className="replay-controls active">
+      <div className="replay-buttons">
+        <button onClick={() => onIndexChange(0)} disabled={index === 0} title="First step">⏮</button>
+        <button onClick={() => onIndexChange(index - 1)} disabled={index === 0} title="Previous step">◀</button>
+        <span className="replay-position">Step {index + 1} of {frames.length}</span>
+        <button onClick={() => onIndexChange(index + 1)} disabled={index === last} title="Next step">▶</button>
+        <button onClick={() => onIndexChange(last)} disabled={index === last} title="Finished layout">⏭</button>
+        <button className="replay-exit" onClick={() => onIndexChange(null)}>Exit Replay</button>
+      </div>
+
+      <p className="replay-description">
+        {step ? describeStep(step) : 'The finished layout.'}
+      </p>
+
+      {step?.candidates && (
+        <ol className="replay-candidates">
+          {step.candidates.map((candidate, i) => (
+            <li key={`${candidate.row}-${candidate.col}-${candidate.isHorizontal}`} className={i === step.chosen ? 'chosen' : ''}>
+              Row {candidate.row + 1}, column {candidate.col + 1}, {candidate.isHorizontal ? 'across' : 'down'}:
+              score {formatScore(candidate.score)}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default ReplayControls;
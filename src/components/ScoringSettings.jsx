@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { DEFAULT_SCORING } from '../utils/crosswordGenerator';
+
+// Ready-made scoring options
+const SCORING_PRESETS = [
+  { label: 'Dense and centred (default)', scoring: DEFAULT_SCORING },
+  {
+    label: 'Sparse and spread out (young solvers)',
+    scoring: { ...DEFAULT_SCORING, intersectionWeight: 10, centralityWeight: -2, maxDensity: 0.35, balanceWeight: 1 }
+  },
+  { label: 'Compact', scoring: { ...DEFAULT_SCORING, compactnessWeight: 5 } }
+];
+
+/**
+ * ScoringSettings Component
+ * Tunes how the generator picks between placements: weights for crossings,
+ * centrality and compactness, plus layout limits (crossings per word, fill density)
+ * and a preferred balance of Across and Down words
+ */
+function ScoringSettings({ scoring, onChange, disabled }) {
+  const [expanded, setExpanded] = useState(false);
+
+  const presetIndex = SCORING_PRESETS.findIndex(preset =>
+    Object.keys(DEFAULT_SCORING).every(key => preset.scoring[key] === scoring[key])
+  );
+
+  // Number input bound to one option; percent inputs show 0-1 values as 0-100
+  const numberInput = (key, { min, max, step = 1, percent = false }) => (
+    <input
+      type="number"
+      value={percent ? Math.round(scoring[key] * 100) : scoring[key]}
+      min={min}
+      max={max}
+      step={step}
+      onChange={(e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value) && value >= min && value <= max) {
+          onChange({ ...scoring, [key]: percent ? value / 100 : value });
+        }
+      }}
+      disabled={disabled}
+    />
+  );
+
+  return (
+    <div className="scoring-settings">
+      <h3>Layout Style</h3>
+      <div className="preset-row">
+        <select
+          value={presetIndex}
+          onChange={(e) => onChange(SCORING_PRESETS[e.target.value].scoring)}
+          disabled={disabled}
+        >
+          {presetIndex === -1 && <option value={-1}>Custom</option>}
+          {SCORING_PRESETS.map((preset, index) => (
+            <option key={preset.label} value={index}>{preset.label}</option>
+          ))}
+        </select>
+        <button onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Hide Options' : 'Customize'}
+        </button>
+      </div>
+
+      {expanded && (
+        <>
+          <p className="hint">
+            Placements score points for crossings and lose points for distance from the centre and for
+            growing the layout. Negative weights reverse the preference.
+          </p>
+          <div className="settings-row">
+            <label title="Points per letter shared with words already placed">
+              Crossings:
+              {numberInput('intersectionWeight', { min: -200, max: 200 })}
+            </label>
+            <label title="Points lost per cell away from the centre (negative pushes words outwards)">
+              Centrality:
+              {numberInput('centralityWeight', { min: -20, max: 20, step: 0.5 })}
+            </label>
+            <label title="Points lost per cell added to the layout's bounding box">
+              Compactness:
+              {numberInput('compactnessWeight', { min: 0, max: 20, step: 0.5 })}
+            </label>
+          </div>
+          <div className="settings-row">
+            <label title="Each word must cross at least this many words (fewer words may fit)">
+              Min crossings per word:
+              {numberInput('minCrossings', { min: 1, max: 4 })}
+            </label>
+            <label title="Largest share of the grid that may hold letters">
+              Max fill (%):
+              {numberInput('maxDensity', { min: 10, max: 100, percent: true })}
+            </label>
+          </div>
+          <div className="settings-row">
+            <label title="Preferred share of Across words">
+              Across words (%):
+              {numberInput('acrossShare', { min: 0, max: 100, percent: true })}
+            </label>
+            <label title="Points lost per percentage point away from the preferred share (0 = no preference)">
+              Balance weight:
+              {numberInput('balanceWeight', { min: 0, max: 20, step: 0.5 })}
+            </label>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ScoringSettings;
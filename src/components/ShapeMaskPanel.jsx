@@ -0,0 +1,185 @@
+import { useState, useRef } from 'react';
+import {
+  SHAPE_PRESETS,
+  MASK_INSIDE,
+  createFullMask,
+  createPresetMask,
+  parseAsciiMask,
+  maskFromImageData,
+  fitMask,
+  toggleMaskCell,
+  countInside
+} from '../utils/shapeMasks';
+
+const MINI_GRID_SIZE = 280; // Pixels along the longer side of the painting grid
+
+// Grid sides allowed in the grid settings
+const MIN_GRID_SIZE = 5;
+const MAX_GRID_SIZE = 50;
+
+/**
+ * ShapeMaskPanel Component
+ * Limits the grid to a shape (heart, star, state outline...) so letters are only placed inside it
+ * A mask can come from a preset, be painted on the mini grid (click or drag), or be imported
+ * from a black-and-white image (dark = inside) or ASCII art (any character but space or '.' = inside)
+ */
+function ShapeMaskPanel({ mask, width, height, onChange, onSizeChange, disabled }) {
+  const [preset, setPreset] = useState(SHAPE_PRESETS[0].id);
+  const [asciiText, setAsciiText] = useState('');
+  const [showAscii, setShowAscii] = useState(false);
+  const [error, setError] = useState('');
+  const paintValue = useRef(null); // Whether the current drag paints cells inside (true) or outside (false)
+
+  const paintCell = (r, c) => {
+    const current = mask || createFullMask(width, height);
+    const inside = current[r][c] === MASK_INSIDE;
+    if (inside !== paintValue.current) {
+      onChange(toggleMaskCell(current, r, c));
+    }
+  };
+
+  const handleMouseDown = (r, c) => {
+    const current = mask || createFullMask(width, height);
+    paintValue.current = current[r][c] !== MASK_INSIDE;
+    paintCell(r, c);
+  };
+
+  const handleMouseEnter = (e, r, c) => {
+    if (e.buttons === 1 && paintValue.current !== null) {
+      paintCell(r, c);
+    }
+  };
+
+  const handleImageImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      // Draw the image at one pixel per cell on white, then read the dark pixels
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+
+      const imported = maskFromImageData(ctx.getImageData(0, 0, width, height));
+      if (countInside(imported) === 0) {
+        setError('No dark area found in the image. Use a black shape on a white background.');
+        return;
+      }
+      setError('');
+      onChange(imported);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      setError('Could not read the image');
+    };
+    image.src = url;
+  };
+
+  const handleAsciiImport = () => {
+    const imported = parseAsciiMask(asciiText);
+    if (!imported) {
+      setError('The ASCII mask has no cells inside the shape');
+      return;
+    }
+
+    // The ASCII art sets the grid size (within the allowed sizes)
+    const clamp = (value) => Math.min(MAX_GRID_SIZE, Math.max(MIN_GRID_SIZE, value));
+    const newWidth = clamp(imported[0].length);
+    const newHeight = clamp(imported.length);
+    setError('');
+    onSizeChange(newWidth, newHeight);
+    onChange(fitMask(imported, newWidth, newHeight));
+    setShowAscii(false);
+  };
+
+  const cellSize = MINI_GRID_SIZE / Math.max(width, height);
+  const shown = mask || createFullMask(width, height);
+
+  return (
+    <div className="shape-mask-panel">
+      <h3>Shape</h3>
+      <p className="hint">
+        Letters are only placed inside the shape. Click or drag on the grid to paint cells in or out.
+      </p>
+
+      <div className="mask-preset-row">
+        <select value={preset} onChange={(e) => setPreset(e.target.value)} disabled={disabled}>
+          {SHAPE_PRESETS.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <button onClick={() => onChange(createPresetMask(preset, width, height))} disabled={disabled}>
+          Use Shape
+        </button>
+      </div>
+
+      <div
+        className="pin-grid mask-grid"
+        style={{
+          gridTemplateColumns: `repeat(${width}, ${cellSize}px)`,
+          gridTemplateRows: `repeat(${height}, ${cellSize}px)`
+        }}
+        onMouseLeave={() => { paintValue.current = null; }}
+        onMouseUp={() => { paintValue.current = null; }}
+      >
+        {shown.map((row, r) =>
+          row.split('').map((cell, c) => (
+            <button
+              key={`${r}-${c}`}
+              className={`pin-cell ${cell === MASK_INSIDE ? 'inside' : 'outside'}`}
+              onMouseDown={() => handleMouseDown(r, c)}
+              onMouseEnter={(e) => handleMouseEnter(e, r, c)}
+              disabled={disabled}
+              title={`Row ${r + 1}, column ${c + 1}`}
+            />
+          ))
+        )}
+      </div>
+
+      <div className="mask-actions">
+        <label className={`mask-import ${disabled ? 'disabled' : ''}`}>
+          Import Image
+          <input type="file" accept="image/*" onChange={handleImageImport} disabled={disabled} />
+        </label>
+        <button onClick={() => setShowAscii(!showAscii)} disabled={disabled}>
+          {showAscii ? 'Hide ASCII' : 'Import ASCII'}
+        </button>
+        <button onClick={() => onChange(null)} disabled={disabled || !mask}>
+          Clear Shape
+        </button>
+      </div>
+
+      {showAscii && (
+        <div className="mask-ascii">
+          <textarea
+            rows={8}
+            value={asciiText}
+            onChange={(e) => setAsciiText(e.target.value)}
+            placeholder={'  ##   ##\n #########\n  #######\n    ###\n     #'}
+            disabled={disabled}
+          />
+          <button onClick={handleAsciiImport} disabled={disabled || asciiText.trim().length === 0}>
+            Use ASCII Mask
+          </button>
+        </div>
+      )}
+
+      {error && <p className="error">{error}</p>}
+      {mask && (
+        <p className="mask-info">
+          {countInside(mask)} of {width * height} cells inside the shape
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ShapeMaskPanel;
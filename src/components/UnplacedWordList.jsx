@@ -0,0 +1,104 @@
+import { REJECTION_REASONS } from '../utils/crosswordGenerator';
+
+// How each rejected crossing is described
+const REJECTION_LABELS = {
+  [REJECTION_REASONS.OUT_OF_BOUNDS]: 'ran off the grid',
+  [REJECTION_REASONS.END_CAP]: 'ended against another word',
+  [REJECTION_REASONS.OUTSIDE_SHAPE]: 'left the shape',
+  [REJECTION_REASONS.LETTER_CONFLICT]: 'clashed with a crossing letter',
+  [REJECTION_REASONS.PARALLEL_NEIGHBOUR]: 'ran alongside a parallel word',
+  [REJECTION_REASONS.OVERLAP]: 'ran over a word going the same way',
+  [REJECTION_REASONS.TOO_FEW_CROSSINGS]: 'crossed fewer words than the minimum crossings',
+  [REJECTION_REASONS.TOO_DENSE]: 'would have filled more of the grid than the max fill',
+  [REJECTION_REASONS.CROSSES_BAR]: 'ran through a bar'
+};
+
+const formatSize = (size) => `${size.width}×${size.height}`;
+
+/**
+ * Describes a diagnosis (see diagnoseUnplaced) as { problem, suggestion }
+ */
+function describe(diagnosis, gridSize) {
+  const { reason, crossings, rejections, suggestedSize } = diagnosis;
+
+  switch (reason) {
+    case 'tooLong':
+      return {
+        problem: `Longer than both sides of the ${formatSize(gridSize)} grid.`,
+        suggestion: suggestedSize
+          ? `Enlarge the grid to ${formatSize(suggestedSize)} or more.`
+          : 'Shorten it: it is longer than the largest grid allowed.'
+      };
+    case 'tooLongForShape':
+      return {
+        problem: 'Longer than any straight run of cells in the shape.',
+        suggestion: 'Paint a longer row or column into the shape, or use a larger grid.'
+      };
+    case 'noCommonLetters':
+      return {
+        problem: 'Shares no letters with the words in the grid, so nothing can cross it.',
+        suggestion: 'Add a word that shares letters with it and the grid, or remove it.'
+      };
+    case 'noRoom':
+      return {
+        problem: 'There is nowhere to put it in the grid.',
+        suggestion: 'Use a larger grid or shape.'
+      };
+    case 'fits':
+      return {
+        problem: 'There is room for it in the grid now.',
+        suggestion: 'Use Retry Unplaced Words to add it.'
+      };
+    default: {
+      // Every crossing was rejected: list why, most common first
+      const counts = Object.entries(rejections).sort((a, b) => b[1] - a[1]);
+      const problem = `All ${crossings} possible crossing${crossings === 1 ? '' : 's'} were rejected: ` +
+        counts.map(([rejection, count]) => `${count} ${REJECTION_LABELS[rejection]}`).join(', ') + '.';
+
+      const [mostCommon] = counts[0];
+      let suggestion;
+      if (suggestedSize && mostCommon === REJECTION_REASONS.OUT_OF_BOUNDS) {
+        suggestion = `Enlarge the grid to ${formatSize(suggestedSize)} to give it room.`;
+      } else if (mostCommon === REJECTION_REASONS.OUTSIDE_SHAPE) {
+        suggestion = 'Paint more cells into the shape around the words it crosses.';
+      } else if (mostCommon === REJECTION_REASONS.LETTER_CONFLICT) {
+        suggestion = 'Try another seed so different words cross it.';
+      } else if (mostCommon === REJECTION_REASONS.CROSSES_BAR) {
+        suggestion = 'Remove the bars in its way, or type it into the grid by hand.';
+      } else if (mostCommon === REJECTION_REASONS.TOO_FEW_CROSSINGS) {
+        suggestion = 'Lower Min crossings per word in the scoring settings.';
+      } else if (mostCommon === REJECTION_REASONS.TOO_DENSE) {
+        suggestion = suggestedSize
+          ? `Raise Max fill in the scoring settings, or enlarge the grid to ${formatSize(suggestedSize)}.`
+          : 'Raise Max fill in the scoring settings, or use a larger grid.';
+      } else {
+        suggestion = suggestedSize
+          ? `The grid is crowded: try another seed or enlarge it to ${formatSize(suggestedSize)}.`
+          : 'The grid is crowded: try another seed or a larger grid.';
+      }
+      return { problem, suggestion };
+    }
+  }
+}
+
+/**
+ * UnplacedWordList Component
+ * Lists unplaced words with why each could not be placed and what to change
+ */
+function UnplacedWordList({ diagnostics, displayNames, gridSize }) {
+  return (
+    <ul className="unplaced-list">
+      {diagnostics.map(diagnosis => {
+        const { problem, suggestion } = describe(diagnosis, gridSize);
+        return (
+          <li key={diagnosis.word}>
+            <strong>{displayNames[diagnosis.word] || diagnosis.word}</strong>: {problem}{' '}
+            <span className="unplaced-suggestion">{suggestion}</span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default UnplacedWordList;
@@ -0,0 +1,55 @@
+import { useState } from 'react';
+
+const MAX_VARIANTS = 26;
+
+/**
+ * VariantPanel Component
+ * Generates several different layouts of the current word list and exports them
+ * as one PDF (puzzles first, answer keys at the back), with clues carried over by word
+ */
+function VariantPanel({ onExport, disabled }) {
+  const [count, setCount] = useState(4);
+
+  const handleCountChange = (e) => {
+    const value = parseInt(e.target.value, 10);
+    if (!isNaN(value) && value >= 2 && value <= MAX_VARIANTS) {
+      setCount(value);
+    }
+  };
+
+  const handleExport = () => {
+    const title = prompt('Enter title:', 'crossword');
+    if (!title) return;
+    onExport(count, title);
+  };
+
+  return (
+    <div className="variant-panel">
+      <h3>Variants</h3>
+      <p className="hint">
+        Different layouts of the same words and clues, each labelled with a letter (e.g. one per
+        student). Uses the grid size and time limit above.
+      </p>
+
+      <div className="settings-row">
+        <label>
+          Variants:
+          <input
+            type="number"
+            value={count}
+            onChange={handleCountChange}
+            min={2}
+            max={MAX_VARIANTS}
+            disabled={disabled}
+          />
+        </label>
+      </div>
+
+      <button onClick={handleExport} disabled={disabled}>
+        Generate Variants PDF
+      </button>
+    </div>
+  );
+}
+
+export default VariantPanel;
@@ -1,21 +1,65 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect } from 'react';
+import { DEFAULT_ALPHABET, getAlphabet, isAlphabetWord, describeLetters, toPuzzleCase } from '../utils/alphabets';
+
+/**
+ * Splits a line into the word and its markers:
+ * a leading "!" marks the word as required, a leading "*" as a theme entry
+ * (both may be used, in either order), and a trailing ";N" gives it priority N
+ * The text is converted to the alphabet's puzzle case (see alphabets.js)
+ * @returns {Object} - { original, word, required, theme, priority } (priority is null when not given)
+ */
+function parseLine(line, alphabet) {
+  let text = toPuzzleCase(line.trim(), alphabet);
+  let required = false;
+  let theme = false;
+  while (text.startsWith('!') || text.startsWith('*')) {
+    if (text[0] === '!') required = true;
+    else theme = true;
+    text = text.slice(1).trim();
+  }
+
+  let priority = null;
+  const separator = text.lastIndexOf(';');
+  if (separator !== -1) {
+    priority = Number(text.slice(separator + 1).trim());
+    text = text.slice(0, separator).trim();
+  }
+
+  // Spaces, hyphens and apostrophes only show in the display name (and its enumeration)
+  return { original: text, word: text.replace(/[\s'’‐-]+/g, ''), required, theme, priority };
+}
 
 /**
  * WordInput Component
  * Text area for entering words (one per line)
- * Validates words (letters only, no duplicates)
+ * Words are optional unless marked required ("!WORD"); optional words can be given a priority ("WORD;3")
+ * Theme entries ("*WORD") get showcase slots: the longest through the centre, the others in symmetric pairs
+ * Validates words (letters of the puzzle alphabet only, no duplicates)
+ * Reports the current (valid) words as the user types, for pinning
+ * Also used to add words to an existing crossword (title, buttonLabel, minWords,
+ * existingWords and clearOnSubmit adapt it; existing words count as duplicates)
  */
-function WordInput({ onGenerate, disabled }) {
+function WordInput({
+  onGenerate,
+  onWordsChange,
+  title = 'Enter Words',
+  buttonLabel = 'Generate Crossword',
+  minWords = 2,
+  existingWords = [],
+  clearOnSubmit = false,
+  alphabet = getAlphabet(DEFAULT_ALPHABET),
+  disabled
+}) {
   const [text, setText] = useState('');
   const [error, setError] = useState('');
 
   // Check for duplicates in real-time as user types
   const duplicates = useMemo(() => {
     const rawLines = text.split('\n')
-      .map(line => line.trim().toUpperCase().replace(/\s+/g, ''))
+      .map(line => parseLine(line, alphabet).word)
       .filter(line => line.length > 0);
 
-    const seen = new Set();
+    const seen = new Set(existingWords);
     const dupes = new Set();
 
     for (const word of rawLines) {
@@ -26,61 +70,84 @@ function WordInput({ onGenerate, disabled }) {
     }
 
     return Array.from(dupes);
-  }, [text]);
+  }, [text, existingWords, alphabet]);
+
+  // Share the words typed so far (letters-only entries, spaces and punctuation removed)
+  useEffect(() => {
+    const currentWords = text.split('\n')
+      .map(line => parseLine(line, alphabet).word)
+      .filter(word => isAlphabetWord(word, alphabet));
+    onWordsChange?.([...new Set(currentWords)]);
+  }, [text, onWordsChange, alphabet]);
 
   const validateAndParse = () => {
     const rawLines = text.split('\n')
-      .map(line => line.trim().toUpperCase())
+      .map(line => line.trim())
       .filter(line => line.length > 0);
 
     const processedWords = [];
     const displayNames = {}; // Maps processed word -> original with spaces
+    const required = [];
+    const theme = [];
+    const priorities = {};
+
+    for (const line of rawLines) {
+      const { original, word: processed, required: isRequired, theme: isTheme, priority } = parseLine(line, alphabet);
 
-    for (const original of rawLines) {
-      const processed = original.replace(/\s+/g, ''); // Remove spaces for grid
+      // Check for non-letter characters (after removing spaces, hyphens and apostrophes)
+      if (!isAlphabetWord(processed, alphabet)) {
+        setError(`Invalid word "${original}": only ${alphabet.name} letters are allowed (${describeLetters(alphabet)})`);
+        return null;
+      }
 
-      // Check for non-letter characters (after removing spaces)
-      if (!/^[A-Z]+$/.test(processed)) {
-        setError(`Invalid word "${original}": only letters A-Z are allowed`);
+      if (priority !== null && !(priority > 0)) {
+        setError(`Invalid priority for "${original}": use a number above 0 (e.g. ${processed};2)`);
         return null;
       }
 
       processedWords.push(processed);
       displayNames[processed] = original; // Keep original for display
+      if (isRequired) required.push(processed);
+      if (isTheme) theme.push(processed);
+      if (priority !== null) priorities[processed] = priority;
     }
 
     // Check for duplicates
     const uniqueWords = [...new Set(processedWords)];
-    if (uniqueWords.length !== processedWords.length) {
+    if (uniqueWords.length !== processedWords.length || uniqueWords.some(word => existingWords.includes(word))) {
       setError('Duplicate words detected. Please remove duplicates.');
       return null;
     }
 
     // Check minimum words
-    if (uniqueWords.length < 2) {
-      setError('Please enter at least 2 words');
+    if (uniqueWords.length < minWords) {
+      setError(`Please enter at least ${minWords} word${minWords === 1 ? '' : 's'}`);
       return null;
     }
 
     setError('');
-    return { words: uniqueWords, displayNames };
+    return { words: uniqueWords, displayNames, wordOptions: { required, priorities, theme } };
   };
 
   const handleGenerate = () => {
     const result = validateAndParse();
     if (result) {
-      onGenerate(result.words, result.displayNames);
+      onGenerate(result.words, result.displayNames, result.wordOptions);
+      if (clearOnSubmit) setText('');
     }
   };
 
   return (
     <div className="word-input">
-      <h3>Enter Words</h3>
-      <p className="hint">Enter one word per line (spaces are ignored)</p>
+      <h3>{title}</h3>
+      <p className="hint">
+        Enter one word per line (spaces, hyphens and apostrophes are ignored). Start a line with ! to make the word required
+        or * to make it a theme entry; add ;2 (or any number) to give an optional word a higher priority.
+      </p>
       <textarea
         value={text}
         onChange={(e) => setText(e.target.value)}
-        placeholder="HELLO&#10;WORLD&#10;CROSSWORD&#10;PUZZLE"
+        placeholder="*!CROSSWORD&#10;PUZZLE;2&#10;HELLO&#10;WORLD"
         rows={10}
         disabled={disabled}
       />
@@ -91,7 +158,7 @@ function WordInput({ onGenerate, disabled }) {
       )}
       {error && <p className="error">{error}</p>}
       <button onClick={handleGenerate} disabled={disabled || text.trim().length === 0}>
-        Generate Crossword
+        {buttonLabel}
       </button>
     </div>
   );
@@ -0,0 +1,98 @@
+/**
+ * Puzzle alphabets
+ *
+ * Each alphabet lists the letters a cell may hold and the locale used to
+ * upper-case words typed in it. Words are stored in puzzle case: upper case,
+ * composed (NFC), with every digraph (e.g. Dutch IJ) replaced by the single
+ * letter that stands for it, so every character of a word fills one cell.
+ *
+ * Right-to-left alphabets keep the grid in reading order: column 0 is the
+ * rightmost column on screen, so Across words still run towards higher columns
+ * and numbering needs no changes (see CrosswordGrid and drawGridImage).
+ */
+
+const LATIN = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export const DEFAULT_ALPHABET = 'en';
+
+/**
+ * Supported alphabets
+ * - letters: every letter a cell may hold
+ * - digraphs: letter pairs that share one cell -> the letter stored for them
+ * - rtl: words read right to left
+ * - stripMarks: drop combining marks (e.g. Hebrew vowel points) when typing
+ */
+export const ALPHABETS = [
+  { id: 'en', name: 'English', locale: 'en', letters: LATIN },
+  { id: 'es', name: 'Spanish', locale: 'es', letters: LATIN + 'ÁÉÍÑÓÚÜ' },
+  { id: 'de', name: 'German', locale: 'de', letters: LATIN + 'ÄÖÜẞ' },
+  { id: 'pl', name: 'Polish', locale: 'pl', letters: LATIN + 'ĄĆĘŁŃÓŚŹŻ' },
+  { id: 'nl', name: 'Dutch', locale: 'nl', letters: LATIN + 'Ĳ', digraphs: { IJ: 'Ĳ' } },
+  { id: 'he', name: 'Hebrew', locale: 'he', letters: 'אבגדהוזחטיכךלמםנןסעפףצץקרשת', rtl: true, stripMarks: true }
+];
+
+// Letters that lose their mark some other way than by decomposing
+const FOLDED_LETTERS = { Ł: 'L', Ø: 'O', Đ: 'D', Ħ: 'H' };
+
+/**
+ * Looks up an alphabet by id (English for an unknown id)
+ */
+export function getAlphabet(id) {
+  return ALPHABETS.find(alphabet => alphabet.id === id) || ALPHABETS[0];
+}
+
+/**
+ * Converts typed text to puzzle case (see above)
+ * ß becomes ẞ rather than "SS", so it stays one letter.
+ */
+export function toPuzzleCase(text, alphabet) {
+  let result = text.normalize('NFC');
+  if (alphabet.stripMarks) {
+    result = result.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+  }
+  result = result.replace(/ß/g, 'ẞ').toLocaleUpperCase(alphabet.locale);
+  for (const [digraph, letter] of Object.entries(alphabet.digraphs || {})) {
+    result = result.split(digraph).join(letter);
+  }
+  return result;
+}
+
+/**
+ * Whether a word (in puzzle case) only uses the alphabet's letters
+ */
+export function isAlphabetWord(word, alphabet) {
+  return word.length > 0 && [...word].every(letter => alphabet.letters.includes(letter));
+}
+
+/**
+ * Text for listing an alphabet's letters in messages (digraphs spelled out)
+ */
+export function describeLetters(alphabet) {
+  const spelled = Object.fromEntries(Object.entries(alphabet.digraphs || {}).map(([pair, letter]) => [letter, pair]));
+  return [...alphabet.letters].map(letter => spelled[letter] || letter).join(' ');
+}
+
+/**
+ * Removes accents and other marks, e.g. "Ñ" -> "N", "Ł" -> "L"
+ */
+export function foldDiacritics(text) {
+  return text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[ŁØĐĦ]/g, letter => FOLDED_LETTERS[letter])
+    .normalize('NFC');
+}
+
+const foldedCodes = new Map();
+
+/**
+ * foldDiacritics for a single letter given as a char code (cached, for the placement search)
+ */
+export function foldLetterCode(code) {
+  let folded = foldedCodes.get(code);
+  if (folded === undefined) {
+    folded = foldDiacritics(String.fromCharCode(code)).charCodeAt(0);
+    foldedCodes.set(code, folded);
+  }
+  return folded;
+}
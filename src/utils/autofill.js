@@ -0,0 +1,398 @@
+/**
+ * Autofill for block-pattern grids
+ *
+ * Fills the remaining white cells with words from a word list, offline.
+ * Every Across and Down entry is a slot; a slot's domain is the list words
+ * that fit the letters it already has. The search fills the slot with the
+ * smallest domain first, narrows the domains of the slots crossing it
+ * (constraint propagation) and backs up to try another word as soon as a
+ * crossing slot has no words left.
+ *
+ * Letters already in the grid are kept. Rebus cells (see cellUtils.js) are
+ * kept too and match any letter. When no complete fill exists (or the time
+ * runs out) the deepest partial fill found is returned instead.
+ */
+
+import { EMPTY, isFilled, isWhite } from './cellUtils.js';
+import { hasBarRight, hasBarBelow } from './bars.js';
+import { createRandom, randomSeed } from './random.js';
+
+// How many search steps between progress reports
+const PROGRESS_INTERVAL = 2000;
+
+// Search steps allowed in the first attempt, and how much each restart adds
+const RESTART_BUDGET = 500;
+const RESTART_GROWTH = 1.5;
+
+// Most words tried for one slot before backing up (so a search that runs out
+// of words has only proved there is no fill when no slot had more than this)
+const MAX_CANDIDATES = 100;
+
+// A single letter of any alphabet (see alphabets.js)
+const LETTER = /^\p{L}$/u;
+
+/**
+ * Groups a word list by length, dropping duplicates and non-letter entries
+ * Each group keeps its words' letters as codes (letterCodes numbers each letter
+ * the list uses) in one flat array, so filtering by "letter at position"
+ * doesn't touch the strings.
+ * @param {string[]} words - Word list (any case; other alphabets in puzzle case)
+ * @param {Function} random - Random source used to shuffle each group
+ * @returns {Object} - { groups, letterCodes }
+ *   - groups: length -> { words, codes }
+ *   - letterCodes: letter -> code
+ */
+function indexWordList(words, random) {
+  const byLength = new Map();
+  const seen = new Set();
+  const letterCodes = new Map();
+
+  for (const entry of words) {
+    const word = entry.toUpperCase();
+    if (seen.has(word) || !/^\p{L}+$/u.test(word)) continue;
+    seen.add(word);
+    if (!byLength.has(word.length)) byLength.set(word.length, []);
+    byLength.get(word.length).push(word);
+  }
+
+  const groups = new Map();
+  for (const [length, list] of byLength) {
+    // Shuffle so different seeds give different fills
+    for (let i = list.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [list[i], list[j]] = [list[j], list[i]];
+    }
+
+    const codes = new Uint16Array(list.length * length);
+    list.forEach((word, i) => {
+      for (let pos = 0; pos < length; pos++) {
+        if (!letterCodes.has(word[pos])) letterCodes.set(word[pos], letterCodes.size);
+        codes[i * length + pos] = letterCodes.get(word[pos]);
+      }
+    });
+    groups.set(length, { words: list, codes });
+  }
+
+  return { groups, letterCodes };
+}
+
+/**
+ * Lists the Across and Down slots (runs of at least 2 white cells, split at bars)
+ * @returns {Object[]} - Array of { row, col, isHorizontal, cells: [[row, col], ...] }
+ */
+function findSlots(grid, bars) {
+  const height = grid.length;
+  const width = grid[0].length;
+  const slots = [];
+
+  const addRuns = (isHorizontal) => {
+    const outer = isHorizontal ? height : width;
+    const inner = isHorizontal ? width : height;
+    for (let a = 0; a < outer; a++) {
+      let cells = [];
+      for (let b = 0; b <= inner; b++) {
+        const [r, c] = isHorizontal ? [a, b] : [b, a];
+        if (b < inner && isWhite(grid[r][c])) {
+          cells.push([r, c]);
+          const barAfter = isHorizontal ? hasBarRight(bars, r, c) : hasBarBelow(bars, r, c);
+          if (!barAfter) continue;
+        }
+        if (cells.length >= 2) {
+          slots.push({ row: cells[0][0], col: cells[0][1], isHorizontal, cells });
+        }
+        cells = [];
+      }
+    }
+  };
+
+  addRuns(true);
+  addRuns(false);
+  return slots;
+}
+
+/**
+ * Fills the empty white cells of a grid with words from a word list
+ * @param {Array[]} grid - The crossword grid (letters, EMPTY white cells, blocks)
+ * @param {string[]} words - Word list to fill from
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Seed for the word order (random if not given)
+ * @param {number} [options.timeLimit] - Milliseconds before giving up with the best partial fill
+ * @param {Object} [options.bars] - Bars between cells, which split slots (see bars.js)
+ * @param {Function} [options.onProgress] - Called with { filledSlots, totalSlots, best }
+ * @returns {Object} - { grid, complete, filledSlots, totalSlots, unfillable, timedOut, seed }
+ *   unfillable lists slots left empty: { row, col, isHorizontal, pattern, exhausted }
+ *   exhausted is true if every word that could go there was tried (so no word in the list fits),
+ *   false if the slot was given up on after trying only a sample of the words
+ */
+export function autofillGrid(grid, words, options = {}) {
+  const seed = options.seed ?? randomSeed();
+  const random = createRandom(seed);
+  const deadline = options.timeLimit > 0 ? Date.now() + options.timeLimit : Infinity;
+  const { groups, letterCodes } = indexWordList(words, random);
+  // Letters no word uses match nothing
+  const codeOf = (letter) => letterCodes.get(letter) ?? -1;
+
+  const letters = grid.map(row => [...row]);
+  const slots = findSlots(grid, options.bars);
+
+  // Slots through each cell, with the cell's position in the slot
+  const crossings = new Map();
+  slots.forEach((slot, index) => {
+    slot.cells.forEach(([r, c], pos) => {
+      const key = `${r}-${c}`;
+      if (!crossings.has(key)) crossings.set(key, []);
+      crossings.get(key).push({ slot: index, pos });
+    });
+  });
+
+  // Rebus cells and symbols read as '?' too, so any word letter fits them
+  const patternOf = (slot) =>
+    slot.cells.map(([r, c]) => (LETTER.test(letters[r][c]) ? letters[r][c] : '?')).join('');
+  const isSlotFilled = (slot) => slot.cells.every(([r, c]) => isFilled(letters[r][c]));
+
+  // Domains are arrays of indexes into the slot's length group
+  const groupOf = (index) => groups.get(slots[index].cells.length);
+  const narrow = (domain, group, length, pos, code) => {
+    const result = [];
+    for (const i of domain) {
+      if (group.codes[i * length + pos] === code) result.push(i);
+    }
+    return result;
+  };
+
+  // Slots that are already complete count as filled and their words can't be reused
+  const initialUsed = new Set();
+  const initialDomains = slots.map(() => null);
+  const unfillable = [];
+  const skipped = new Set();
+
+  slots.forEach((slot, index) => {
+    const pattern = patternOf(slot);
+    if (isSlotFilled(slot)) {
+      initialUsed.add(pattern);
+      return;
+    }
+
+    const group = groupOf(index);
+    let domain = group ? group.words.map((_, i) => i) : [];
+    for (let pos = 0; pos < pattern.length && group; pos++) {
+      if (pattern[pos] !== '?') {
+        domain = narrow(domain, group, pattern.length, pos, codeOf(pattern[pos]));
+      }
+    }
+    initialDomains[index] = domain;
+
+    if (domain.length === 0) {
+      // Leave it out of the search so the rest of the grid can still be filled
+      skipped.add(index);
+      unfillable.push({ row: slot.row, col: slot.col, isHorizontal: slot.isHorizontal, pattern, exhausted: true });
+    }
+  });
+
+  const totalSlots = slots.length;
+  const prefilled = initialDomains.filter(domain => domain === null).length;
+  let bestCount = prefilled;
+  let best = letters.map(row => [...row]);
+  let timedOut = false;
+
+  const buildResult = (resultGrid, filledSlots) => ({
+    grid: resultGrid.map(row => [...row]),
+    complete: filledSlots === totalSlots,
+    filledSlots,
+    totalSlots,
+    unfillable,
+    timedOut,
+    seed
+  });
+
+  // Search state (reset for each attempt)
+  let used;
+  let assigned;
+  let domains;
+  let filledCount;
+  let steps;
+  let sampled; // Some slot had more words than were tried
+
+  // How often each slot ran out of words, to pick one to give up on
+  const failures = slots.map(() => 0);
+
+  const isOpen = (index) => !assigned[index] && !skipped.has(index);
+
+  // Picks the open slot with the fewest words left (most constrained first)
+  const chooseSlot = () => {
+    let choice = -1;
+    for (let i = 0; i < slots.length; i++) {
+      if (!isOpen(i)) continue;
+      if (choice === -1 || domains[i].length < domains[choice].length) choice = i;
+    }
+    return choice;
+  };
+
+  // Orders a slot's words so the ones leaving the crossing slots the most options come first
+  const orderWords = (index) => {
+    const slot = slots[index];
+    const length = slot.cells.length;
+    const group = groupOf(index);
+
+    // For each cell, how many words the crossing slot has with each letter there
+    const crossingCounts = slot.cells.map(([r, c]) => {
+      const crossing = crossings.get(`${r}-${c}`).find(x => x.slot !== index);
+      if (!crossing || !isOpen(crossing.slot)) return null;
+      const crossingLength = slots[crossing.slot].cells.length;
+      const crossingCodes = groupOf(crossing.slot).codes;
+      const counts = new Uint32Array(letterCodes.size);
+      for (const i of domains[crossing.slot]) {
+        counts[crossingCodes[i * crossingLength + crossing.pos]]++;
+      }
+      return counts;
+    });
+
+    // Only a sample of a large domain is considered, from a random starting point
+    const domain = domains[index];
+    const sample = [];
+    const offset = Math.floor(random() * domain.length);
+    let i = 0;
+    for (; i < domain.length && sample.length < MAX_CANDIDATES; i++) {
+      const wordIndex = domain[(offset + i) % domain.length];
+      if (!used.has(group.words[wordIndex])) sample.push(wordIndex);
+    }
+    if (i < domain.length) sampled = true;
+
+    return sample
+      .map(wordIndex => {
+        let score = random();
+        crossingCounts.forEach((counts, pos) => {
+          if (counts) score += Math.log(counts[group.codes[wordIndex * length + pos]] || 0.01);
+        });
+        return { word: group.words[wordIndex], score };
+      })
+      .sort((a, b) => b.score - a.score)
+      .map(candidate => candidate.word);
+  };
+
+  const search = (budget) => {
+    const index = chooseSlot();
+    if (index === -1) return true;
+
+    const slot = slots[index];
+    for (const word of orderWords(index)) {
+      steps++;
+      if (steps % PROGRESS_INTERVAL === 0) {
+        if (Date.now() > deadline) {
+          timedOut = true;
+        }
+        options.onProgress?.({
+          filledSlots: bestCount,
+          totalSlots,
+          best: buildResult(best, bestCount)
+        });
+      }
+      if (timedOut || steps > budget) return false;
+
+      // Write the word, remembering which cells were empty
+      const written = [];
+      slot.cells.forEach(([r, c], pos) => {
+        if (!isFilled(letters[r][c])) {
+          letters[r][c] = word[pos];
+          written.push([r, c, pos]);
+        }
+      });
+
+      // Narrow the crossing slots; a slot with no words left is a dead end
+      const saved = [];
+      let deadEnd = false;
+      for (const [r, c, pos] of written) {
+        for (const crossing of crossings.get(`${r}-${c}`)) {
+          if (crossing.slot === index || !isOpen(crossing.slot)) continue;
+          const crossingLength = slots[crossing.slot].cells.length;
+          saved.push([crossing.slot, domains[crossing.slot]]);
+          domains[crossing.slot] = narrow(
+            domains[crossing.slot],
+            groupOf(crossing.slot),
+            crossingLength,
+            crossing.pos,
+            codeOf(word[pos])
+          );
+          if (domains[crossing.slot].length === 0) {
+            failures[crossing.slot]++;
+            deadEnd = true;
+            break;
+          }
+        }
+        if (deadEnd) break;
+      }
+
+      if (!deadEnd) {
+        assigned[index] = true;
+        used.add(word);
+        filledCount++;
+        if (filledCount > bestCount) {
+          bestCount = filledCount;
+          best = letters.map(row => [...row]);
+        }
+
+        if (search(budget)) return true;
+
+        assigned[index] = false;
+        used.delete(word);
+        filledCount--;
+      }
+
+      // Undo
+      for (let i = saved.length - 1; i >= 0; i--) {
+        domains[saved[i][0]] = saved[i][1];
+      }
+      for (const [r, c] of written) {
+        letters[r][c] = EMPTY;
+      }
+    }
+
+    return false;
+  };
+
+  // Restart with a growing step budget: an early bad choice is cheaper to
+  // redo from scratch than to backtrack out of
+  let budget = RESTART_BUDGET;
+  while (!timedOut) {
+    used = new Set(initialUsed);
+    assigned = initialDomains.map(domain => domain === null);
+    domains = [...initialDomains];
+    filledCount = prefilled;
+    steps = 0;
+    sampled = false;
+
+    if (search(budget)) {
+      return buildResult(letters, filledCount);
+    }
+    if (timedOut) break;
+
+    if (steps <= budget) {
+      // Searched every word tried without a complete fill (there is none unless
+      // some words were left untried). Give up on the slot that ran out of words
+      // most often and fill the rest of the grid.
+      let worst = -1;
+      slots.forEach((slot, index) => {
+        if (isOpen(index) && failures[index] > 0 && (worst === -1 || failures[index] > failures[worst])) {
+          worst = index;
+        }
+      });
+      if (worst === -1) break;
+
+      const slot = slots[worst];
+      skipped.add(worst);
+      unfillable.push({
+        row: slot.row,
+        col: slot.col,
+        isHorizontal: slot.isHorizontal,
+        pattern: patternOf(slot),
+        exhausted: !sampled
+      });
+      failures.fill(0);
+      budget = RESTART_BUDGET;
+    } else {
+      budget = Math.round(budget * RESTART_GROWTH);
+    }
+  }
+
+  return buildResult(best, bestCount);
+}
@@ -0,0 +1,61 @@
+/**
+ * Bars for barred grids
+ *
+ * In barred puzzles (British cryptic style) entries are separated by thick
+ * bars between cells instead of blocks. Bars are kept as
+ * { "row-col": { right, bottom } }: the bars on the right and bottom edges of
+ * each cell. A bar on a cell's left or top edge is stored on the neighbour it
+ * shares the edge with. Keys match pencil marks, so offsetCellKeys moves bars too.
+ */
+
+/**
+ * Whether there is a bar between (row, col) and the cell to its right
+ */
+export function hasBarRight(bars, row, col) {
+  return Boolean(bars?.[`${row}-${col}`]?.right);
+}
+
+/**
+ * Whether there is a bar between (row, col) and the cell below it
+ */
+export function hasBarBelow(bars, row, col) {
+  return Boolean(bars?.[`${row}-${col}`]?.bottom);
+}
+
+/**
+ * Adds or removes the bar on one edge of a cell
+ * Edges on the outside of the grid have no bar, so the bars come back unchanged.
+ * @param {Object} bars - Current bars
+ * @param {number} row
+ * @param {number} col
+ * @param {string} side - 'top', 'right', 'bottom' or 'left'
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @returns {Object} - The new bars
+ */
+export function toggleBar(bars, row, col, side, width, height) {
+  // Left and top edges belong to the neighbour
+  let r = row;
+  let c = col;
+  let edge = side;
+  if (side === 'left') {
+    c = col - 1;
+    edge = 'right';
+  } else if (side === 'top') {
+    r = row - 1;
+    edge = 'bottom';
+  }
+
+  const outside = edge === 'right' ? c < 0 || c >= width - 1 : r < 0 || r >= height - 1;
+  if (outside) return bars;
+
+  const key = `${r}-${c}`;
+  const cell = { ...bars[key], [edge]: !bars[key]?.[edge] };
+  const next = { ...bars };
+  if (cell.right || cell.bottom) {
+    next[key] = { right: Boolean(cell.right), bottom: Boolean(cell.bottom) };
+  } else {
+    delete next[key];
+  }
+  return next;
+}
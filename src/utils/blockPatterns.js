@@ -0,0 +1,361 @@
+/**
+ * Block patterns for American-style grids
+ *
+ * In these puzzles every white cell belongs to both an Across and a Down
+ * entry, entries are at least 3 letters long, and the black squares
+ * (blocks) have 180° rotational symmetry.
+ *
+ * Patterns are arrays of strings, one per row: '#' is a block, '.' a white cell.
+ */
+
+import { EMPTY, BLOCK, isWhite, isBlock } from './cellUtils.js';
+
+/**
+ * Shortest allowed entry
+ */
+export const MIN_ENTRY_LENGTH = 3;
+
+const BLOCK_CHAR = '#';
+const WHITE_CHAR = '.';
+
+/**
+ * Ready-made patterns
+ */
+export const PATTERN_TEMPLATES = [
+  {
+    id: 'standard-15a',
+    name: 'Standard 15×15 (A)',
+    pattern: [
+      '......#....#...',
+      '......#........',
+      '......#........',
+      '###.......#....',
+      '....#.....##...',
+      '...#....#......',
+      '...#.....#.....',
+      '###....#....###',
+      '.....#.....#...',
+      '......#....#...',
+      '...##.....#....',
+      '....#.......###',
+      '........#......',
+      '........#......',
+      '...#....#......'
+    ]
+  },
+  {
+    id: 'standard-15b',
+    name: 'Standard 15×15 (B)',
+    pattern: [
+      '.....##....#...',
+      '.....##........',
+      '.....##........',
+      '....#.....#....',
+      '....#......#...',
+      '...##......#...',
+      '........##...##',
+      '.......#.......',
+      '##...##........',
+      '...#......##...',
+      '...#......#....',
+      '....#.....#....',
+      '........##.....',
+      '........##.....',
+      '...#....##.....'
+    ]
+  },
+  {
+    id: 'standard-21',
+    name: 'Standard 21×21',
+    pattern: [
+      '...#....#....#.......',
+      '...#.........#.......',
+      '...#.........#.......',
+      '.....##....#........#',
+      '.........#......#...#',
+      '....#....##.......###',
+      '....#....##......#...',
+      '...........#.....#...',
+      '###.........#...#....',
+      '.....#......##.......',
+      '......##.....##......',
+      '.......##......#.....',
+      '....#...#.........###',
+      '...#.....#...........',
+      '...#......##....#....',
+      '###.......##....#....',
+      '#...#......#.........',
+      '#........#....##.....',
+      '.......#.........#...',
+      '.......#.........#...',
+      '.......#....#....#...'
+    ]
+  }
+];
+
+/**
+ * Converts a pattern to a grid of empty white cells (EMPTY) and blocks (BLOCK)
+ */
+export function patternToGrid(pattern) {
+  return pattern.map(row =>
+    row.split('').map(ch => (ch === BLOCK_CHAR ? BLOCK : EMPTY))
+  );
+}
+
+/**
+ * Converts a grid back to a pattern (letters count as white cells, void cells as blocks)
+ */
+export function gridToPattern(grid) {
+  return grid.map(row =>
+    row.map(cell => (isWhite(cell) ? WHITE_CHAR : BLOCK_CHAR)).join('')
+  );
+}
+
+/**
+ * Creates a pattern with no blocks
+ */
+export function createOpenPattern(width, height) {
+  return Array(height).fill(WHITE_CHAR.repeat(width));
+}
+
+/**
+ * Symmetries the block tool can keep
+ */
+export const SYMMETRIES = {
+  NONE: 'none',
+  ROTATIONAL: 'rotational', // 180° turn
+  MIRROR: 'mirror', // Left-right
+  MIRROR_VERTICAL: 'mirrorVertical' // Top-bottom
+};
+
+/**
+ * The cell matching (row, col) under 180° rotation
+ */
+export function symmetricCell(row, col, width, height) {
+  return { row: height - 1 - row, col: width - 1 - col };
+}
+
+/**
+ * The cell matching (row, col) under a symmetry (itself for SYMMETRIES.NONE)
+ */
+function partnerCell(row, col, width, height, symmetry) {
+  switch (symmetry) {
+    case SYMMETRIES.ROTATIONAL:
+      return symmetricCell(row, col, width, height);
+    case SYMMETRIES.MIRROR:
+      return { row, col: width - 1 - col };
+    case SYMMETRIES.MIRROR_VERTICAL:
+      return { row: height - 1 - row, col };
+    default:
+      return { row, col };
+  }
+}
+
+/**
+ * Lists the runs of white cells in each row and column
+ * @returns {Object[]} - Array of { row, col, length, isHorizontal }
+ */
+function findRuns(pattern) {
+  const height = pattern.length;
+  const width = pattern[0].length;
+  const runs = [];
+
+  for (let r = 0; r < height; r++) {
+    let start = null;
+    for (let c = 0; c <= width; c++) {
+      const white = c < width && pattern[r][c] !== BLOCK_CHAR;
+      if (white && start === null) start = c;
+      if (!white && start !== null) {
+        runs.push({ row: r, col: start, length: c - start, isHorizontal: true });
+        start = null;
+      }
+    }
+  }
+
+  for (let c = 0; c < width; c++) {
+    let start = null;
+    for (let r = 0; r <= height; r++) {
+      const white = r < height && pattern[r][c] !== BLOCK_CHAR;
+      if (white && start === null) start = r;
+      if (!white && start !== null) {
+        runs.push({ row: start, col: c, length: r - start, isHorizontal: false });
+        start = null;
+      }
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Counts white cells reachable from the first white cell
+ */
+function countConnectedWhite(pattern) {
+  const height = pattern.length;
+  const width = pattern[0].length;
+  const visited = new Set();
+
+  let start = null;
+  for (let r = 0; r < height && !start; r++) {
+    for (let c = 0; c < width && !start; c++) {
+      if (pattern[r][c] !== BLOCK_CHAR) start = [r, c];
+    }
+  }
+  if (!start) return 0;
+
+  const queue = [start];
+  visited.add(`${start[0]},${start[1]}`);
+  while (queue.length > 0) {
+    const [r, c] = queue.shift();
+    for (const [dr, dc] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const nr = r + dr;
+      const nc = c + dc;
+      const key = `${nr},${nc}`;
+      if (nr >= 0 && nr < height && nc >= 0 && nc < width && pattern[nr][nc] !== BLOCK_CHAR && !visited.has(key)) {
+        visited.add(key);
+        queue.push([nr, nc]);
+      }
+    }
+  }
+
+  return visited.size;
+}
+
+/**
+ * Checks a pattern against the American-style rules
+ * @param {string[]} pattern - Rows of '#' and '.'
+ * @returns {string[]} - Problems found (empty if the pattern is valid)
+ */
+export function validatePattern(pattern) {
+  const problems = [];
+  const height = pattern.length;
+  const width = pattern[0]?.length || 0;
+  if (width === 0) return ['The grid is empty'];
+
+  // Rotational symmetry
+  let symmetric = true;
+  for (let r = 0; r < height && symmetric; r++) {
+    for (let c = 0; c < width && symmetric; c++) {
+      const mirror = symmetricCell(r, c, width, height);
+      if ((pattern[r][c] === BLOCK_CHAR) !== (pattern[mirror.row][mirror.col] === BLOCK_CHAR)) {
+        symmetric = false;
+      }
+    }
+  }
+  if (!symmetric) {
+    problems.push('Blocks are not rotationally symmetric');
+  }
+
+  // Entry lengths (a run of 1 is a white cell missing an Across or Down entry)
+  const shortRuns = findRuns(pattern).filter(run => run.length < MIN_ENTRY_LENGTH);
+  for (const run of shortRuns) {
+    const direction = run.isHorizontal ? 'Across' : 'Down';
+    problems.push(
+      `${direction} entry at row ${run.row + 1}, column ${run.col + 1} is only ${run.length} ` +
+      `letter${run.length === 1 ? '' : 's'} long (minimum ${MIN_ENTRY_LENGTH})`
+    );
+  }
+
+  // Connectivity
+  const whiteCount = pattern.reduce((sum, row) => sum + row.split('').filter(ch => ch !== BLOCK_CHAR).length, 0);
+  if (whiteCount > 0 && countConnectedWhite(pattern) !== whiteCount) {
+    problems.push('White cells are split into separate areas');
+  }
+
+  return problems;
+}
+
+/**
+ * Sets a cell (and its symmetric partner) to block or white
+ */
+function setBlock(pattern, row, col, isBlock) {
+  const width = pattern[0].length;
+  const height = pattern.length;
+  const mirror = symmetricCell(row, col, width, height);
+  const ch = isBlock ? BLOCK_CHAR : WHITE_CHAR;
+
+  return pattern.map((line, r) => {
+    if (r !== row && r !== mirror.row) return line;
+    const chars = line.split('');
+    if (r === row) chars[col] = ch;
+    if (r === mirror.row) chars[mirror.col] = ch;
+    return chars.join('');
+  });
+}
+
+/**
+ * Generates a random valid pattern
+ * Long runs are broken up first (so entries stay at most maxEntryLength),
+ * then blocks are added at random until the target density is reached.
+ * Every block is placed with its symmetric partner and only kept if the
+ * pattern stays valid.
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {Function} random - Random source (see random.js)
+ * @param {Object} [options]
+ * @param {number} [options.density] - Target share of blocks (default 0.16)
+ * @param {number} [options.maxEntryLength] - Longest allowed entry (default 9)
+ * @returns {string[]} - The pattern
+ */
+export function createRandomPattern(width, height, random, options = {}) {
+  const density = options.density ?? 0.16;
+  const maxEntryLength = Math.max(MIN_ENTRY_LENGTH, options.maxEntryLength ?? 9);
+  const targetBlocks = Math.round(width * height * density);
+  const maxAttempts = width * height * 20;
+
+  let pattern = createOpenPattern(width, height);
+  const blockCount = (p) => p.reduce((sum, row) => sum + row.split('').filter(ch => ch === BLOCK_CHAR).length, 0);
+  const tryBlock = (row, col) => {
+    if (pattern[row][col] === BLOCK_CHAR) return false;
+    const next = setBlock(pattern, row, col, true);
+    if (validatePattern(next).length > 0) return false;
+    pattern = next;
+    return true;
+  };
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const longRuns = findRuns(pattern).filter(run => run.length > maxEntryLength);
+    const done = longRuns.length === 0 && blockCount(pattern) >= targetBlocks;
+    if (done) break;
+
+    if (longRuns.length > 0) {
+      // Break a random long run (validation rejects blocks that leave short entries)
+      const run = longRuns[Math.floor(random() * longRuns.length)];
+      const offset = Math.floor(random() * run.length);
+      const row = run.isHorizontal ? run.row : run.row + offset;
+      const col = run.isHorizontal ? run.col + offset : run.col;
+      tryBlock(row, col);
+    } else {
+      tryBlock(Math.floor(random() * height), Math.floor(random() * width));
+    }
+  }
+
+  return pattern;
+}
+
+/**
+ * Toggles a block in a grid, along with its partner under a symmetry
+ * Letters in cells that become white stay; cells that become blocks lose their letters.
+ * @param {Array[]} grid - The crossword grid
+ * @param {number} row
+ * @param {number} col
+ * @param {string} [symmetry] - One of SYMMETRIES (default rotational)
+ * @param {string|null} [cleared] - What a removed block becomes: EMPTY (block-pattern
+ *   puzzles) or VOID (freeform puzzles)
+ * @returns {Array[]} - The new grid
+ */
+export function toggleBlock(grid, row, col, symmetry = SYMMETRIES.ROTATIONAL, cleared = EMPTY) {
+  const width = grid[0].length;
+  const height = grid.length;
+  const partner = partnerCell(row, col, width, height, symmetry);
+  const makeBlock = !isBlock(grid[row][col]);
+
+  return grid.map((line, r) =>
+    line.map((cell, c) => {
+      const isTarget = (r === row && c === col) || (r === partner.row && c === partner.col);
+      if (!isTarget) return cell;
+      if (makeBlock) return BLOCK;
+      return isBlock(cell) ? cleared : cell;
+    })
+  );
+}
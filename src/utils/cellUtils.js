@@ -0,0 +1,80 @@
+/**
+ * Cell value helpers
+ *
+ * A grid cell holds one of:
+ * - a letter (e.g. "A"), or in a rebus cell several letters or a symbol (e.g. "HEART")
+ * - EMPTY: a white cell with no letter yet (block-pattern puzzles)
+ * - BLOCK: a black square put there on purpose (block patterns, the block tool)
+ * - VOID (null): not part of the puzzle, e.g. the unused cells around a freeform
+ *   layout or cells outside a shape mask
+ */
+
+/**
+ * A white cell that has not been filled in
+ */
+export const EMPTY = '';
+
+/**
+ * A block (black square)
+ */
+export const BLOCK = '#';
+
+/**
+ * A cell that is not part of the puzzle
+ */
+export const VOID = null;
+
+/**
+ * Stands in for an empty cell when reading a word off the grid (e.g. "C?T")
+ */
+export const UNFILLED = '?';
+
+/**
+ * Whether a cell is white (a letter or an empty white cell)
+ */
+export function isWhite(cell) {
+  return cell !== VOID && cell !== BLOCK;
+}
+
+/**
+ * Whether a cell holds a letter
+ */
+export function isFilled(cell) {
+  return isWhite(cell) && cell !== EMPTY;
+}
+
+/**
+ * Whether a cell is a rebus cell (holds more than one character)
+ * Its whole text is part of both the Across and the Down word through it.
+ */
+export function isRebus(cell) {
+  return isFilled(cell) && cell.length > 1;
+}
+
+/**
+ * Whether a cell is a block
+ */
+export function isBlock(cell) {
+  return cell === BLOCK;
+}
+
+/**
+ * Whether a cell is part of the puzzle (white or a block), as opposed to VOID
+ */
+export function isInPuzzle(cell) {
+  return cell !== VOID;
+}
+
+/**
+ * The text a cell contributes to a word read off the grid
+ */
+export function cellText(cell) {
+  return cell === EMPTY ? UNFILLED : cell;
+}
+
+/**
+ * Whether a word read off the grid still has unfilled cells
+ */
+export function isComplete(word) {
+  return !word.includes(UNFILLED);
+}
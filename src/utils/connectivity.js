@@ -0,0 +1,208 @@
+/**
+ * Connectivity of a grid's letters
+ *
+ * Manual edits can split a crossword into islands: groups of words that
+ * never cross the rest of the puzzle. These helpers find the islands and
+ * try to move stray ones so they cross the main (largest) island again.
+ */
+
+import { isWhite } from './cellUtils.js';
+import { isInsideMask } from './shapeMasks.js';
+import { getPlacementsFromGrid } from './gridUtils.js';
+
+/**
+ * Splits the white cells of a grid into islands of orthogonally connected cells
+ * @param {Array[]} grid - The crossword grid
+ * @returns {Object} - { islands, labels }
+ *   - islands: largest first, each an array of [row, col] cells
+ *   - labels: labels[row][col] is the cell's island index, or -1 for a black cell
+ */
+export function findIslands(grid) {
+  const height = grid.length;
+  const width = grid[0].length;
+  const labels = grid.map(row => row.map(() => -1));
+  const islands = [];
+
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
+      if (!isWhite(grid[r][c]) || labels[r][c] !== -1) continue;
+
+      // Flood fill from this cell
+      const index = islands.length;
+      const cells = [[r, c]];
+      labels[r][c] = index;
+      for (let i = 0; i < cells.length; i++) {
+        const [cr, cc] = cells[i];
+        for (const [nr, nc] of [[cr - 1, cc], [cr + 1, cc], [cr, cc - 1], [cr, cc + 1]]) {
+          if (nr < 0 || nr >= height || nc < 0 || nc >= width) continue;
+          if (!isWhite(grid[nr][nc]) || labels[nr][nc] !== -1) continue;
+          labels[nr][nc] = index;
+          cells.push([nr, nc]);
+        }
+      }
+      islands.push(cells);
+    }
+  }
+
+  // Largest first, so island 0 is the main body
+  const order = islands.map((_, i) => i).sort((a, b) => islands[b].length - islands[a].length || a - b);
+  const relabel = [];
+  order.forEach((oldIndex, newIndex) => { relabel[oldIndex] = newIndex; });
+
+  return {
+    islands: order.map(i => islands[i]),
+    labels: labels.map(row => row.map(label => (label === -1 ? -1 : relabel[label])))
+  };
+}
+
+/**
+ * Where a move puts a cell of the island it moves
+ * A move may transpose the island (across words become down words) about its top-left corner.
+ */
+function moveCell(move, row, col) {
+  const r = move.transposed ? move.top + (col - move.left) : row;
+  const c = move.transposed ? move.left + (row - move.top) : col;
+  return [r + move.rowOffset, c + move.colOffset];
+}
+
+/**
+ * Whether a placement is one of the words a move carried
+ */
+export function isMovedBy(placement, move) {
+  return move.words.some(w =>
+    w.word === placement.word &&
+    w.row === placement.row &&
+    w.col === placement.col &&
+    w.isHorizontal === placement.isHorizontal
+  );
+}
+
+/**
+ * Applies a move to a placement it carried
+ */
+export function movePlacement(placement, move) {
+  const [row, col] = moveCell(move, placement.row, placement.col);
+  return { ...placement, row, col, isHorizontal: move.transposed ? !placement.isHorizontal : placement.isHorizontal };
+}
+
+/**
+ * Copies just an island's letters into an otherwise empty grid
+ */
+function islandGrid(grid, island) {
+  const result = grid.map(row => row.map(() => null));
+  island.forEach(([r, c]) => { result[r][c] = grid[r][c]; });
+  return result;
+}
+
+// Sorted list of a grid's words, to check that a move leaves every word intact
+const wordList = (grid) => getPlacementsFromGrid(grid).map(p => p.word).sort().join(',');
+
+/**
+ * Finds the best position for one island so that it crosses the main island
+ * Every shift of the island (as it is, and transposed) is tried; a position is
+ * allowed when the island's letters land on empty cells or on matching letters of
+ * the main island, and no word in the grid changes. The position with the most
+ * crossings wins, then the one closest to where the island was.
+ * @returns {Object|null} - { grid, move }, or null when there is no such position
+ */
+function placeIsland(grid, island, labels, mask) {
+  const height = grid.length;
+  const width = grid[0].length;
+
+  const base = grid.map(row => [...row]);
+  island.forEach(([r, c]) => { base[r][c] = null; });
+  const expected = [...getPlacementsFromGrid(base), ...getPlacementsFromGrid(islandGrid(grid, island))]
+    .map(p => p.word).sort().join(',');
+
+  const top = Math.min(...island.map(([r]) => r));
+  const left = Math.min(...island.map(([, c]) => c));
+  let best = null;
+
+  for (const transposed of [false, true]) {
+    const cells = island.map(([r, c]) => {
+      const [tr, tc] = moveCell({ transposed, top, left, rowOffset: 0, colOffset: 0 }, r, c);
+      return { r: tr - top, c: tc - left, letter: grid[r][c] };
+    });
+    const islandHeight = Math.max(...cells.map(cell => cell.r)) + 1;
+    const islandWidth = Math.max(...cells.map(cell => cell.c)) + 1;
+
+    for (let row = 0; row + islandHeight <= height; row++) {
+      for (let col = 0; col + islandWidth <= width; col++) {
+        let crossings = 0;
+        let fits = true;
+        for (const cell of cells) {
+          const r = row + cell.r;
+          const c = col + cell.c;
+          const current = base[r][c];
+          if (!isInsideMask(mask, r, c) || (current !== null && current !== cell.letter)) {
+            fits = false;
+            break;
+          }
+          if (current !== null && labels[r][c] === 0) crossings++;
+        }
+        if (!fits || crossings === 0) continue;
+
+        const distance = Math.abs(row - top) + Math.abs(col - left) + (transposed ? 1 : 0);
+        if (best && (crossings < best.crossings || (crossings === best.crossings && distance >= best.distance))) {
+          continue;
+        }
+
+        const candidate = base.map(r => [...r]);
+        cells.forEach(cell => { candidate[row + cell.r][col + cell.c] = cell.letter; });
+        if (wordList(candidate) !== expected) continue;
+
+        best = {
+          crossings,
+          distance,
+          grid: candidate,
+          move: { transposed, top, left, rowOffset: row - top, colOffset: col - left }
+        };
+      }
+    }
+  }
+
+  return best && { grid: best.grid, move: best.move };
+}
+
+/**
+ * Moves stray islands so they cross the main island
+ * Islands are tried largest first and the grid is re-checked after each move,
+ * until every island is connected or none of the rest can be placed.
+ * Islands without a word (single letters) are left alone.
+ * @param {Array[]} grid - The crossword grid
+ * @param {string[]} [mask] - Shape mask (see shapeMasks.js)
+ * @returns {Object} - { grid, moves, stranded }
+ *   - moves: in order, each { words, transposed, top, left, rowOffset, colOffset },
+ *     where words are the placements the island held before the move
+ *     (see movePlacement and isMovedBy)
+ *   - stranded: word lists of the islands that could not be reconnected
+ */
+export function reconnectIslands(grid, mask = null) {
+  let current = grid;
+  const moves = [];
+
+  for (;;) {
+    const { islands, labels } = findIslands(current);
+    let moved = false;
+
+    for (const island of islands.slice(1)) {
+      const words = getPlacementsFromGrid(islandGrid(current, island));
+      if (words.length === 0) continue;
+
+      const placed = placeIsland(current, island, labels, mask);
+      if (placed) {
+        current = placed.grid;
+        moves.push({ ...placed.move, words });
+        moved = true;
+        break;
+      }
+    }
+
+    if (!moved) {
+      const stranded = findIslands(current).islands.slice(1)
+        .map(island => getPlacementsFromGrid(islandGrid(current, island)).map(p => p.word))
+        .filter(words => words.length > 0);
+      return { grid: current, moves, stranded };
+    }
+  }
+}
@@ -2,343 +2,1523 @@
  * Crossword Generator Algorithm
  *
  * Approach:
- * 1. Try multiple placement strategies
- * 2. For each strategy, place words and track success
+ * 1. Try multiple word orderings (strategies)
+ * 2. For each strategy, run a beam search over placements, then repair
+ *    the layout by undoing earlier choices that block unplaced words
  * 3. Return the result that places the most words
+ *
+ * All randomness comes from a seeded random source, so the same words,
+ * grid size and seed always produce the same layout.
  */
 
+import { createRandom, randomSeed } from './random.js';
+import { computeLayoutMetrics, layoutSignature } from './layoutMetrics.js';
+import { cropGrid, offsetPlacements, getPlacementsFromGrid } from './gridUtils.js';
+import { longestRun } from './shapeMasks.js';
+import { EMPTY, isRebus } from './cellUtils.js';
+import { foldDiacritics as foldText } from './alphabets.js';
+import {
+  EMPTY_CELL,
+  NO_WORD,
+  createBoard,
+  emptyLayout,
+  addWord,
+  removeWord,
+  layoutFromPlacements,
+  layoutFromGrid,
+  layoutToGrid,
+  countCrossings,
+  forEachLetterCell,
+  letterKey,
+  isLinked
+} from './placementGrid.js';
+
+// Why a placement was rejected (see checkPlacement)
+export const REJECTION_REASONS = {
+  OUT_OF_BOUNDS: 'outOfBounds',
+  END_CAP: 'endCap',
+  OUTSIDE_SHAPE: 'outsideShape',
+  LETTER_CONFLICT: 'letterConflict',
+  PARALLEL_NEIGHBOUR: 'parallelNeighbour',
+  OVERLAP: 'overlap',
+  TOO_FEW_CROSSINGS: 'tooFewCrossings',
+  TOO_DENSE: 'tooDense',
+  CROSSES_BAR: 'crossesBar'
+};
+
 /**
- * Creates an empty grid filled with null values
+ * Default placement scoring and layout limits (see scorePlacement)
+ * - intersectionWeight: points per letter shared with words already placed
+ * - centralityWeight: points lost per cell between the word's centre and the grid's
+ *   (negative values push words outwards)
+ * - compactnessWeight: points lost per cell the placement adds to the layout's bounding box
+ * - minCrossings: words must cross at least this many words, or as many words running
+ *   the other way as the grid has when it has fewer
+ * - maxDensity: largest share of the grid's cells (inside the shape) holding letters
+ * - acrossShare: preferred share of Across words, and balanceWeight the points lost per
+ *   percentage point away from it
  */
-function createEmptyGrid(width, height) {
-  return Array(height).fill(null).map(() => Array(width).fill(null));
-}
+export const DEFAULT_SCORING = {
+  intersectionWeight: 100,
+  centralityWeight: 1,
+  compactnessWeight: 0,
+  minCrossings: 1,
+  maxDensity: 1,
+  acrossShare: 0.5,
+  balanceWeight: 0
+};
 
 /**
- * Checks if a word placement is valid
+ * Checks a word placement against a layout (see placementGrid.js)
+ * With a shape mask, every letter must land inside the shape.
+ * @returns {string|null} - null if the placement is valid, else one of REJECTION_REASONS
  */
-function isValidPlacement(grid, word, row, col, isHorizontal) {
-  const width = grid[0].length;
-  const height = grid.length;
+function checkPlacement(board, layout, word, row, col, isHorizontal) {
+  const { width, height, inside, fold, bars } = board;
+  const { cells } = layout;
+  const sameWay = isHorizontal ? layout.acrossWord : layout.downWord;
+  const length = word.length;
 
   // Check bounds
   if (isHorizontal) {
-    if (col < 0 || col + word.length > width) return false;
-    if (row < 0 || row >= height) return false;
-  } else {
-    if (row < 0 || row + word.length > height) return false;
-    if (col < 0 || col >= width) return false;
-  }
-
-  // Check for cell before word (should be empty or boundary)
-  if (isHorizontal) {
-    if (col > 0 && grid[row][col - 1] !== null) return false;
+    if (col < 0 || col + length > width || row < 0 || row >= height) return REJECTION_REASONS.OUT_OF_BOUNDS;
   } else {
-    if (row > 0 && grid[row - 1][col] !== null) return false;
+    if (row < 0 || row + length > height || col < 0 || col >= width) return REJECTION_REASONS.OUT_OF_BOUNDS;
   }
 
-  // Check for cell after word (should be empty or boundary)
-  if (isHorizontal) {
-    if (col + word.length < width && grid[row][col + word.length] !== null) return false;
-  } else {
-    if (row + word.length < height && grid[row + word.length][col] !== null) return false;
-  }
+  // Cells before and after the word should be empty (or the boundary, or behind a bar)
+  const step = isHorizontal ? 1 : width;
+  const start = row * width + col;
+  const end = start + (length - 1) * step;
+  const barAfter = bars && (isHorizontal ? bars.right : bars.below);
+  const hasBefore = (isHorizontal ? col > 0 : row > 0) && !(barAfter && barAfter[start - step]);
+  const hasAfter = (isHorizontal ? col + length < width : row + length < height) && !(barAfter && barAfter[end]);
+  if (hasBefore && cells[start - step] !== EMPTY_CELL) return REJECTION_REASONS.END_CAP;
+  if (hasAfter && cells[end + step] !== EMPTY_CELL) return REJECTION_REASONS.END_CAP;
 
-  for (let i = 0; i < word.length; i++) {
-    const r = isHorizontal ? row : row + i;
-    const c = isHorizontal ? col + i : col;
+  // Cells on either side: above and below an Across word, left and right of a Down word
+  const side = isHorizontal ? width : 1;
+  const sideBars = bars && (isHorizontal ? bars.below : bars.right);
+  const hasFirstSide = isHorizontal ? row > 0 : col > 0;
+  const hasSecondSide = isHorizontal ? row < height - 1 : col < width - 1;
 
-    const currentCell = grid[r][c];
+  for (let i = 0, cell = start; i < length; i++, cell += step) {
+    if (!inside[cell]) return REJECTION_REASONS.OUTSIDE_SHAPE;
+    if (barAfter && cell !== end && barAfter[cell]) return REJECTION_REASONS.CROSSES_BAR;
 
-    if (currentCell !== null) {
-      // Cell is occupied - must match the letter
-      if (currentCell !== word[i]) {
-        return false;
-      }
-    } else {
-      // Cell is empty - check for adjacent parallel words
-      if (isHorizontal) {
-        // Check cells above and below
-        const above = r > 0 ? grid[r - 1][c] : null;
-        const below = r < height - 1 ? grid[r + 1][c] : null;
-        if (above !== null || below !== null) {
-          return false;
-        }
-      } else {
-        // Check cells left and right
-        const left = c > 0 ? grid[r][c - 1] : null;
-        const right = c < width - 1 ? grid[r][c + 1] : null;
-        if (left !== null || right !== null) {
-          return false;
-        }
+    if (cells[cell] !== EMPTY_CELL) {
+      // Cell is occupied - must match the letter, and belong to a word running the other way
+      const code = word.charCodeAt(i);
+      if (cells[cell] !== code && !(fold && fold(cells[cell]) === fold(code))) {
+        return REJECTION_REASONS.LETTER_CONFLICT;
       }
+      if (sameWay[cell] !== NO_WORD) return REJECTION_REASONS.OVERLAP;
+    } else if (
+      (hasFirstSide && cells[cell - side] !== EMPTY_CELL && !(sideBars && sideBars[cell - side])) ||
+      (hasSecondSide && cells[cell + side] !== EMPTY_CELL && !(sideBars && sideBars[cell]))
+    ) {
+      // Cell is empty - a parallel word runs alongside (a bar between keeps them apart)
+      return REJECTION_REASONS.PARALLEL_NEIGHBOUR;
     }
   }
 
-  return true;
+  return null;
+}
+
+/**
+ * Checks if a word placement is valid
+ */
+function isValidPlacement(board, layout, word, row, col, isHorizontal) {
+  return checkPlacement(board, layout, word, row, col, isHorizontal) === null;
 }
 
 /**
- * Places a word on the grid
+ * Checks a valid placement against the layout limits of the scoring options
+ * and fills in the measures scorePlacement uses (growth and imbalance)
+ * @returns {string|null} - null if allowed, else REJECTION_REASONS.TOO_FEW_CROSSINGS or TOO_DENSE
  */
-function placeWord(grid, word, row, col, isHorizontal) {
-  const newGrid = grid.map(r => [...r]);
+function applyLayoutLimits(placement, word, layout, scoring) {
+  const { row, col, isHorizontal, intersections } = placement;
 
-  for (let i = 0; i < word.length; i++) {
-    const r = isHorizontal ? row : row + i;
-    const c = isHorizontal ? col + i : col;
-    newGrid[r][c] = word[i];
+  // Only words running the other way can be crossed
+  const crossable = isHorizontal ? layout.down : layout.across;
+  if (intersections < Math.min(scoring.minCrossings, crossable)) {
+    return REJECTION_REASONS.TOO_FEW_CROSSINGS;
+  }
+
+  if (layout.filled + word.length - intersections > scoring.maxDensity * layout.capacity) {
+    return REJECTION_REASONS.TOO_DENSE;
   }
 
-  return newGrid;
+  // Cells added to the bounding box
+  const lastRow = isHorizontal ? row : row + word.length - 1;
+  const lastCol = isHorizontal ? col + word.length - 1 : col;
+  const { bounds } = layout;
+  placement.growth = bounds
+    ? (Math.max(bounds.bottom, lastRow) - Math.min(bounds.top, row) + 1) *
+        (Math.max(bounds.right, lastCol) - Math.min(bounds.left, col) + 1) -
+      (bounds.bottom - bounds.top + 1) * (bounds.right - bounds.left + 1)
+    : 0;
+
+  // Percentage points between the Across share after this word and the preferred one
+  const acrossAfter = layout.across + (isHorizontal ? 1 : 0);
+  placement.imbalance = Math.abs(acrossAfter / (layout.across + layout.down + 1) - scoring.acrossShare) * 100;
+
+  return null;
 }
 
 /**
- * Finds all valid placements for a word on the grid
+ * Finds all valid placements for a word on a layout
+ * Crossings come from the layout's letter index: each cell of a placed word holding
+ * one of the word's letters gives a position crossing it. Placements breaking the
+ * layout limits of the scoring options are left out.
+ * @returns {Object[]} - { row, col, isHorizontal, intersections, distanceFromCenter },
+ *   in a fixed order (by the placed word crossed, then the letters crossing) so ties
+ *   are broken the same way for the same seed
  */
-function findValidPlacements(grid, word, placements, isFirstWord = false, firstWordHorizontal = true) {
+function findValidPlacements(
+  board,
+  layout,
+  word,
+  isFirstWord = false,
+  firstWordHorizontal = true,
+  scoring = DEFAULT_SCORING
+) {
   const validPlacements = [];
-  const width = grid[0].length;
-  const height = grid.length;
+  const { width, height } = board;
+  const allowed = (placement) => applyLayoutLimits(placement, word, layout, scoring) === null;
+
+  // Distance from the word's centre to the grid's
+  const distanceFromCenter = (row, col, isHorizontal) => {
+    const wordCenterRow = isHorizontal ? row : row + word.length / 2;
+    const wordCenterCol = isHorizontal ? col + word.length / 2 : col;
+    return Math.abs(wordCenterRow - height / 2) + Math.abs(wordCenterCol - width / 2);
+  };
 
   // If this is the first word, place it centered
   if (isFirstWord) {
-    if (firstWordHorizontal) {
-      const row = Math.floor(height / 2);
-      const col = Math.floor((width - word.length) / 2);
-      if (isValidPlacement(grid, word, row, col, true)) {
-        validPlacements.push({ row, col, isHorizontal: true, intersections: 0, distanceFromCenter: 0 });
-      }
-    } else {
-      const row = Math.floor((height - word.length) / 2);
-      const col = Math.floor(width / 2);
-      if (isValidPlacement(grid, word, row, col, false)) {
-        validPlacements.push({ row, col, isHorizontal: false, intersections: 0, distanceFromCenter: 0 });
+    const isHorizontal = firstWordHorizontal;
+    const row = isHorizontal ? Math.floor(height / 2) : Math.floor((height - word.length) / 2);
+    const col = isHorizontal ? Math.floor((width - word.length) / 2) : Math.floor(width / 2);
+    const placement = { row, col, isHorizontal, intersections: 0, distanceFromCenter: 0 };
+    if (isValidPlacement(board, layout, word, row, col, isHorizontal) && allowed(placement)) {
+      validPlacements.push(placement);
+    }
+
+    // The centre may be outside the shape: fall back to any position that fits it
+    if (validPlacements.length === 0 && board.capacity < width * height) {
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          if (isValidPlacement(board, layout, word, row, col, isHorizontal)) {
+            const placement = {
+              row,
+              col,
+              isHorizontal,
+              intersections: 0,
+              distanceFromCenter: distanceFromCenter(row, col, isHorizontal)
+            };
+            if (allowed(placement)) {
+              validPlacements.push(placement);
+            }
+          }
+        }
       }
     }
     return validPlacements;
   }
 
-  // Find intersections with placed words
-  for (const placement of placements) {
-    const placedWord = placement.word;
+  // Positions found so far, as { placement, order }; seen holds each position's
+  // entry + 1 by start cell and direction (0 when not seen yet, -1 when rejected)
+  const found = [];
+  const seen = board.scratch;
+  const seenKeys = [];
 
-    for (let i = 0; i < word.length; i++) {
-      for (let j = 0; j < placedWord.length; j++) {
-        if (word[i] === placedWord[j]) {
-          // Found a matching letter - try to place perpendicular
-          let row, col;
-          const isHorizontal = !placement.isHorizontal;
+  for (let i = 0; i < word.length; i++) {
+    forEachLetterCell(board, layout, word[i], (cellRow, cellCol, placedIndex, offset, isHorizontal) => {
+      // Letter i of the word goes on the cell
+      const row = isHorizontal ? cellRow : cellRow - i;
+      const col = isHorizontal ? cellCol - i : cellCol;
+      if (row < 0 || col < 0 || (isHorizontal ? col + word.length > width : row + word.length > height)) return;
 
-          if (isHorizontal) {
-            // Place horizontally intersecting a vertical word
-            row = placement.row + j;
-            col = placement.col - i;
-          } else {
-            // Place vertically intersecting a horizontal word
-            row = placement.row - i;
-            col = placement.col + j;
-          }
+      // A position crossing several words is ordered by its first crossing
+      const order = (placedIndex * MAX_GRID_SIZE + i) * MAX_GRID_SIZE + offset;
+      const key = (row * width + col) * 2 + (isHorizontal ? 1 : 0);
+      if (seen[key] > 0) {
+        const known = found[seen[key] - 1];
+        known.order = Math.min(known.order, order);
+      }
+      if (seen[key] !== 0) return;
 
-          if (isValidPlacement(grid, word, row, col, isHorizontal)) {
-            // Count intersections for scoring
-            let intersections = 0;
-            for (let k = 0; k < word.length; k++) {
-              const r = isHorizontal ? row : row + k;
-              const c = isHorizontal ? col + k : col;
-              if (grid[r][c] !== null) {
-                intersections++;
-              }
-            }
+      seenKeys.push(key);
+      if (!isValidPlacement(board, layout, word, row, col, isHorizontal)) {
+        seen[key] = -1;
+        return;
+      }
 
-            // Calculate distance from center for scoring
-            const centerRow = height / 2;
-            const centerCol = width / 2;
-            const wordCenterRow = isHorizontal ? row : row + word.length / 2;
-            const wordCenterCol = isHorizontal ? col + word.length / 2 : col;
-            const distanceFromCenter = Math.abs(wordCenterRow - centerRow) + Math.abs(wordCenterCol - centerCol);
-
-            // Avoid duplicate placements
-            const key = `${row},${col},${isHorizontal}`;
-            if (!validPlacements.some(p => `${p.row},${p.col},${p.isHorizontal}` === key)) {
-              validPlacements.push({
-                row,
-                col,
-                isHorizontal,
-                intersections,
-                distanceFromCenter
-              });
-            }
-          }
-        }
+      const placement = {
+        row,
+        col,
+        isHorizontal,
+        intersections: countCrossings(board, layout, word.length, row, col, isHorizontal),
+        distanceFromCenter: distanceFromCenter(row, col, isHorizontal)
+      };
+      if (allowed(placement)) {
+        found.push({ placement, order });
+        seen[key] = found.length;
+      } else {
+        seen[key] = -1;
       }
-    }
+    });
   }
 
-  return validPlacements;
+  seenKeys.forEach(key => { seen[key] = 0; });
+  return found.sort((a, b) => a.order - b.order).map(entry => entry.placement);
 }
 
 /**
  * Scores a placement (higher is better)
+ * With the default options: more intersections first, then more central positions.
+ * @param {Object} placement - A placement from findValidPlacements
+ * @param {Object} scoring - Scoring options (see DEFAULT_SCORING)
+ */
+function scorePlacement(placement, scoring) {
+  return (
+    placement.intersections * scoring.intersectionWeight -
+    placement.distanceFromCenter * scoring.centralityWeight -
+    placement.growth * scoring.compactnessWeight -
+    placement.imbalance * scoring.balanceWeight
+  );
+}
+
+// Beam search settings: how many partial layouts survive each step,
+// and how many candidate placements each one is expanded with
+const BEAM_WIDTH = 6;
+const BRANCH_FACTOR = 4;
+
+// Long word lists use a narrower beam to keep generation time reasonable
+const LARGE_LIST_SIZE = 60;
+const LARGE_LIST_BEAM_WIDTH = 2;
+
+// Upper bound on words lifted off the grid while repairing a layout
+const MAX_REPAIR_ATTEMPTS = 400;
+
+// Grid sides allowed in the grid settings
+const MIN_GRID_SIZE = 5;
+const MAX_GRID_SIZE = 50;
+
+/**
+ * Ranks placements by score (best first), breaking ties with the random source
  */
-function scorePlacement(placement) {
-  // Prefer more intersections and more central positions
-  return placement.intersections * 100 - placement.distanceFromCenter;
+function rankPlacements(validPlacements, random, scoring) {
+  return validPlacements
+    .map(placement => ({ placement, score: scorePlacement(placement, scoring), tieBreak: random() }))
+    .sort((a, b) => b.score - a.score || a.tieBreak - b.tieBreak)
+    .map(entry => entry.placement);
 }
 
 /**
- * Attempts to place words with a given ordering and first word orientation
+ * Order-independent hash of a single placement (FNV-1a)
+ * Summed per layout so search states can be deduplicated cheaply
  */
-function attemptPlacement(words, width, height, firstWordHorizontal) {
-  let grid = createEmptyGrid(width, height);
-  const placements = [];
-  let unplacedWords = [];
+function hashPlacement(word, placement) {
+  const text = `${word}@${placement.row},${placement.col},${placement.isHorizontal ? 'H' : 'V'}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
 
-  // First pass: try to place all words in order
-  for (let i = 0; i < words.length; i++) {
-    const word = words[i];
-    const isFirstWord = placements.length === 0;
-    const validPlacements = findValidPlacements(grid, word, placements, isFirstWord, firstWordHorizontal);
+// Most candidate placements kept per replay step (best first, plus the chosen one)
+const MAX_REPLAY_CANDIDATES = 12;
 
-    if (validPlacements.length === 0) {
-      unplacedWords.push(word);
-      continue;
-    }
+/**
+ * Adds a step to a state's replay history (only when recording, see options.replay)
+ * The history is a linked list ({ step, previous }) so states branching off the same
+ * parent share it.
+ */
+function recordStep(state, step, context) {
+  return context.replay ? { ...state, history: { step, previous: state.history } } : state;
+}
 
-    // Sort by score and pick the best
-    validPlacements.sort((a, b) => scorePlacement(b) - scorePlacement(a));
-    const best = validPlacements[0];
+/**
+ * Builds the replay step for placing a word
+ * @param {string} phase - 'search', 'retry' or 'repair'
+ * @param {Object[]} ranked - The valid placements, best first (see rankPlacements)
+ * @param {number} chosen - Index of the placement used
+ */
+function placementStep(phase, word, ranked, chosen, context) {
+  const { row, col, isHorizontal } = ranked[chosen];
+  return {
+    type: 'place',
+    phase,
+    word,
+    placement: { row, col, isHorizontal },
+    candidates: ranked.slice(0, Math.max(MAX_REPLAY_CANDIDATES, chosen + 1)).map(p => ({
+      row: p.row,
+      col: p.col,
+      isHorizontal: p.isHorizontal,
+      score: scorePlacement(p, context.scoring)
+    })),
+    chosen
+  };
+}
 
-    grid = placeWord(grid, word, best.row, best.col, best.isHorizontal);
-    placements.push({
-      word,
-      row: best.row,
-      col: best.col,
-      isHorizontal: best.isHorizontal
-    });
+/**
+ * Lists the steps of a replay history, oldest first
+ */
+function historySteps(history) {
+  const steps = [];
+  for (let node = history; node; node = node.previous) {
+    steps.push(node.step);
   }
+  return steps.reverse();
+}
+
+/**
+ * Returns a new search state with the word placed
+ * A state is { layout, placements, unplacedWords, required, weight, score, hash, history },
+ * where layout is the grid (see placementGrid.js), required counts the required words placed,
+ * weight sums the placed words' priorities and history holds the replay steps when recording
+ */
+function extendState(state, word, placement, context) {
+  return {
+    layout: addWord(context.board, state.layout, word, placement.row, placement.col, placement.isHorizontal),
+    placements: [
+      ...state.placements,
+      { word, row: placement.row, col: placement.col, isHorizontal: placement.isHorizontal }
+    ],
+    unplacedWords: state.unplacedWords,
+    required: state.required + (context.required.has(word) ? 1 : 0),
+    weight: state.weight + context.priorityOf(word),
+    score: state.score + scorePlacement(placement, context.scoring),
+    hash: (state.hash + hashPlacement(word, placement)) >>> 0,
+    history: state.history
+  };
+}
+
+/**
+ * Orders search states by the words they place, better first: more required
+ * words, then more priority weight, then more words
+ */
+function compareCoverage(a, b) {
+  return b.required - a.required || b.weight - a.weight || b.placements.length - a.placements.length;
+}
 
-  // Additional passes: retry unplaced words
+/**
+ * Orders search states, better first: by the words they place, then higher total score
+ */
+function compareStates(a, b) {
+  return compareCoverage(a, b) || b.score - a.score;
+}
+
+/**
+ * Keeps the best distinct states for the next beam step
+ */
+function selectBeam(states, beamWidth) {
+  states.sort(compareStates);
+
+  const seen = new Set();
+  const beam = [];
+  for (const state of states) {
+    if (beam.length >= beamWidth) break;
+    if (seen.has(state.hash)) continue;
+    seen.add(state.hash);
+    beam.push(state);
+  }
+
+  return beam;
+}
+
+/**
+ * Greedily retries unplaced words until no more progress is made
+ */
+function retryUnplaced(state, context) {
+  const { random } = context;
+  let current = state;
   let madeProgress = true;
-  while (madeProgress && unplacedWords.length > 0) {
+
+  while (madeProgress && current.unplacedWords.length > 0) {
     madeProgress = false;
     const stillUnplaced = [];
 
-    for (const word of unplacedWords) {
-      const validPlacements = findValidPlacements(grid, word, placements);
+    for (const word of current.unplacedWords) {
+      const validPlacements = findValidPlacements(context.board, current.layout, word, false, true, context.scoring);
 
       if (validPlacements.length === 0) {
         stillUnplaced.push(word);
         continue;
       }
 
-      validPlacements.sort((a, b) => scorePlacement(b) - scorePlacement(a));
-      const best = validPlacements[0];
+      const ranked = rankPlacements(validPlacements, random, context.scoring);
+      current = recordStep(extendState(current, word, ranked[0], context), placementStep('retry', word, ranked, 0, context), context);
+      madeProgress = true;
+    }
+
+    current = { ...current, unplacedWords: stillUnplaced };
+  }
+
+  return current;
+}
+
+/**
+ * Backtracking repair: for each unplaced word, undo one earlier placement,
+ * place the unplaced word, then put the lifted word back somewhere else.
+ * A repair is normally only kept when both words end up on the grid; for a
+ * required word, an optional word (lowest priority first) may be given up.
+ */
+function repairUnplaced(state, context) {
+  const { board, random, scoring, required, priorityOf } = context;
+  let current = state;
+  let attempts = 0;
+
+  // Lifts placement i and places word instead, then tries to put the lifted word back
+  // Returns { state, dropped } (dropped is the lifted word if it stayed off the grid), or null
+  const tryLift = (word, i, allowDrop) => {
+    const lifted = current.placements[i];
+    const remaining = current.placements.filter((_, j) => j !== i);
+
+    // Lifting a word must not split the rest of the puzzle apart
+    if (remaining.length === 0 || !isLinked(current.layout, i)) return null;
+
+    const base = recordStep({
+      layout: removeWord(board, current.layout, i),
+      placements: remaining,
+      unplacedWords: [],
+      required: current.required - (required.has(lifted.word) ? 1 : 0),
+      weight: current.weight - priorityOf(lifted.word),
+      score: current.score,
+      hash: 0,
+      history: current.history
+    }, {
+      type: 'lift',
+      word: lifted.word,
+      placement: { row: lifted.row, col: lifted.col, isHorizontal: lifted.isHorizontal },
+      forWord: word
+    }, context);
+
+    const candidates = rankPlacements(
+      findValidPlacements(board, base.layout, word, false, true, scoring),
+      random,
+      scoring
+    );
+    for (let k = 0; k < Math.min(candidates.length, BRANCH_FACTOR); k++) {
+      const withWord = recordStep(
+        extendState(base, word, candidates[k], context),
+        placementStep('repair', word, candidates, k, context),
+        context
+      );
+      const relocations = findValidPlacements(board, withWord.layout, lifted.word, false, true, scoring);
+
+      if (relocations.length > 0) {
+        const ranked = rankPlacements(relocations, random, scoring);
+        const relocated = extendState(withWord, lifted.word, ranked[0], context);
+        return { state: recordStep(relocated, placementStep('repair', lifted.word, ranked, 0, context), context), dropped: null };
+      }
+      if (allowDrop) {
+        return { state: recordStep(withWord, { type: 'drop', word: lifted.word }, context), dropped: lifted.word };
+      }
+    }
+
+    return null;
+  };
+
+  for (const word of state.unplacedWords) {
+    let repaired = null;
+
+    for (let i = 0; i < current.placements.length && !repaired; i++) {
+      if (attempts++ >= MAX_REPAIR_ATTEMPTS) return current;
+      if (current.placements[i].pinned) continue;
+      repaired = tryLift(word, i, false);
+    }
+
+    // A required word may push out an optional one
+    if (!repaired && required.has(word)) {
+      const optional = current.placements
+        .map((placement, i) => ({ placement, i }))
+        .filter(({ placement }) => !placement.pinned && !required.has(placement.word))
+        .sort((a, b) => priorityOf(a.placement.word) - priorityOf(b.placement.word));
+
+      for (const { i } of optional) {
+        if (attempts++ >= MAX_REPAIR_ATTEMPTS) return current;
+        repaired = tryLift(word, i, true);
+        if (repaired) break;
+      }
+    }
+
+    if (repaired) {
+      const stillUnplaced = current.unplacedWords.filter(w => w !== word);
+      current = {
+        ...repaired.state,
+        unplacedWords: repaired.dropped ? [...stillUnplaced, repaired.dropped] : stillUnplaced
+      };
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Creates the starting search state, with any pinned words already on the grid
+ * Pinned placements are marked so the repair step never lifts them.
+ */
+function createInitialState(context) {
+  const placements = context.pinned.map(({ word, row, col, isHorizontal }) => ({
+    word,
+    row,
+    col,
+    isHorizontal,
+    pinned: true
+  }));
+
+  return {
+    layout: layoutFromPlacements(context.board, placements),
+    placements,
+    unplacedWords: [],
+    required: placements.filter(p => context.required.has(p.word)).length,
+    weight: placements.reduce((sum, p) => sum + context.priorityOf(p.word), 0),
+    score: 0,
+    hash: 0,
+    history: context.replay
+      ? placements.reduce((history, { word, row, col, isHorizontal }) => ({
+        step: { type: 'pin', word, placement: { row, col, isHorizontal } },
+        previous: history
+      }), null)
+      : null
+  };
+}
 
-      grid = placeWord(grid, word, best.row, best.col, best.isHorizontal);
-      placements.push({
+/**
+ * Places words with a beam search over placements
+ *
+ * Instead of committing to the single best placement for each word, the
+ * search keeps several partial layouts alive and expands each with its top
+ * candidates, so an early choice that blocks later words can lose out to an
+ * alternative. Surviving layouts get a retry pass for skipped words and a
+ * backtracking repair; the best (possibly partial) layout is returned.
+ * Once the deadline passes, the words not yet reached are left unplaced.
+ * @param {string[]} words - Words to place, in order
+ * @param {boolean} firstWordHorizontal - Orientation of the first word when nothing is pinned
+ * @param {Object} context - Shared generation settings (see createContext)
+ */
+function searchPlacement(words, firstWordHorizontal, context) {
+  const { random, isExpired } = context;
+  const beamWidth = words.length > LARGE_LIST_SIZE ? LARGE_LIST_BEAM_WIDTH : BEAM_WIDTH;
+  let beam = [createInitialState(context)];
+
+  for (let w = 0; w < words.length; w++) {
+    const word = words[w];
+
+    if (isExpired()) {
+      const remaining = words.slice(w);
+      beam = beam.map(state => ({ ...state, unplacedWords: [...state.unplacedWords, ...remaining] }));
+      break;
+    }
+
+    const expanded = [];
+
+    for (const state of beam) {
+      const isFirstWord = state.placements.length === 0;
+      const validPlacements = findValidPlacements(
+        context.board,
+        state.layout,
         word,
-        row: best.row,
-        col: best.col,
-        isHorizontal: best.isHorizontal
-      });
-      madeProgress = true;
+        isFirstWord,
+        firstWordHorizontal,
+        context.scoring
+      );
+
+      if (validPlacements.length === 0) {
+        // Left for the retry pass
+        expanded.push(recordStep({ ...state, unplacedWords: [...state.unplacedWords, word] }, { type: 'defer', word }, context));
+        continue;
+      }
+
+      const ranked = rankPlacements(validPlacements, random, context.scoring);
+      for (let k = 0; k < Math.min(ranked.length, BRANCH_FACTOR); k++) {
+        expanded.push(recordStep(
+          extendState(state, word, ranked[k], context),
+          placementStep('search', word, ranked, k, context),
+          context
+        ));
+      }
     }
 
-    unplacedWords = stillUnplaced;
+    beam = selectBeam(expanded, beamWidth);
   }
 
-  return { grid, placements, unplacedWords };
+  // Finish each surviving layout and keep the best one
+  let best = null;
+  for (const state of beam) {
+    let finished = retryUnplaced(state, context);
+
+    // Keep repairing while it helps (each repair may free room for other words)
+    while (finished.unplacedWords.length > 0 && !isExpired()) {
+      const repaired = retryUnplaced(repairUnplaced(finished, context), context);
+      if (compareCoverage(repaired, finished) >= 0) break;
+      finished = repaired;
+    }
+
+    if (!best || compareStates(finished, best) < 0) {
+      best = finished;
+    }
+    if (best.unplacedWords.length === 0) break;
+  }
+
+  const result = {
+    grid: layoutToGrid(context.board, best.layout),
+    placements: best.placements,
+    unplacedWords: best.unplacedWords
+  };
+  if (context.replay) {
+    result.replay = { width: context.width, height: context.height, steps: historySteps(best.history) };
+  }
+  return result;
 }
 
 /**
- * Shuffles an array (Fisher-Yates)
+ * Shuffles an array (Fisher-Yates) using the given random source
  */
-function shuffle(array) {
+function shuffle(array, random) {
   const result = [...array];
   for (let i = result.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [result[i], result[j]] = [result[j], result[i]];
   }
   return result;
 }
 
 /**
- * Generates a crossword from a list of words
- * @param {string[]} words - List of words to place
- * @param {number} width - Grid width
- * @param {number} height - Grid height
- * @returns {Object} - { grid, placements, unplacedWords }
+ * Uppercases and trims words, dropping empty ones
  */
-export function generateCrossword(words, width, height) {
-  // Clean words
-  const cleanedWords = [...words]
+function cleanWords(words) {
+  return [...words]
     .map(w => w.toUpperCase().trim())
     .filter(w => w.length > 0);
+}
 
-  // Sort by length (longest first) as primary ordering
-  const sortedByLength = [...cleanedWords].sort((a, b) => b.length - a.length);
+/**
+ * Normalizes pinned words ({ word, row, col, isHorizontal }) like the word list
+ */
+function cleanPinned(pinned) {
+  return (pinned || [])
+    .map(pin => ({ ...pin, word: pin.word.toUpperCase().trim() }))
+    .filter(pin => pin.word.length > 0);
+}
 
-  let bestResult = null;
+/**
+ * Checks that pinned words fit the grid (and shape mask) and don't clash with each other
+ * @param {Object[]} pinned - Array of { word, row, col, isHorizontal }
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {string[]} [mask] - Shape mask (see shapeMasks.js)
+ * @returns {string[]} - One message per pinned word that can't be placed (empty if all fit)
+ */
+export function validatePinnedWords(pinned, width, height, mask = null) {
+  const errors = [];
+  const board = createBoard(width, height, mask);
+  const empty = emptyLayout(board);
+  let layout = empty;
+
+  for (const { word, row, col, isHorizontal } of cleanPinned(pinned)) {
+    const endRow = isHorizontal ? row : row + word.length - 1;
+    const endCol = isHorizontal ? col + word.length - 1 : col;
+    const where = `row ${row + 1}, column ${col + 1}`;
+
+    if (row < 0 || col < 0 || endRow >= height || endCol >= width) {
+      errors.push(`"${word}" does not fit in the grid at ${where}`);
+    } else if (!isValidPlacement(board, empty, word, row, col, isHorizontal)) {
+      errors.push(`"${word}" at ${where} goes outside the shape`);
+    } else if (!isValidPlacement(board, layout, word, row, col, isHorizontal)) {
+      errors.push(`"${word}" at ${where} clashes with another pinned word`);
+    } else {
+      layout = addWord(board, layout, word, row, col, isHorizontal);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Lays out theme entries in showcase positions before the other words are placed
+ * The longest runs through the centre of the grid. The others are paired by length,
+ * and each pair gets rotationally symmetric slots (the second slot is the first turned
+ * 180° about the centre), spaced evenly between the centre and the edge. Both slots
+ * must cross the centre entry or a word already placed, so the theme doesn't end up
+ * as islands of parallel rows; a pair placed later can make room for one skipped before.
+ * @param {string[]} themeWords - Cleaned theme words
+ * @param {Object} board - The grid (see createBoard)
+ * @param {Object[]} pinned - Cleaned pinned words, already fixed on the grid
+ * @returns {Object} - { placements, problems }
+ *   - problems: one message per theme word that has no (connected) symmetric position
+ *     (those words are placed like the other words instead)
+ */
+function arrangeTheme(themeWords, board, pinned) {
+  const { width, height } = board;
+  const placements = [];
+  const problems = [];
+  if (themeWords.length === 0) return { placements, problems };
 
-  // Strategy 1: Longest first, horizontal start
-  const result1 = attemptPlacement(sortedByLength, width, height, true);
-  if (!bestResult || result1.placements.length > bestResult.placements.length) {
-    bestResult = result1;
+  let layout = layoutFromPlacements(board, pinned);
+  const fits = (word, row, col, isHorizontal) => isValidPlacement(board, layout, word, row, col, isHorizontal);
+  const crossesPlaced = (word, row, col, isHorizontal) => {
+    const step = isHorizontal ? 1 : width;
+    for (let i = 0, cell = row * width + col; i < word.length; i++, cell += step) {
+      if (layout.cells[cell] !== EMPTY_CELL) return true;
+    }
+    return false;
+  };
+  const place = (word, row, col, isHorizontal) => {
+    layout = addWord(board, layout, word, row, col, isHorizontal);
+    placements.push({ word, row, col, isHorizontal });
+  };
+
+  // The longest entry through the centre: its slot must be its own symmetric partner
+  const [centre, ...rest] = [...themeWords].sort((a, b) => b.length - a.length);
+  const centreSlot = [
+    { isHorizontal: true, row: (height - 1) / 2, col: (width - centre.length) / 2 },
+    { isHorizontal: false, row: (height - centre.length) / 2, col: (width - 1) / 2 }
+  ].find(slot =>
+    Number.isInteger(slot.row) && Number.isInteger(slot.col) && fits(centre, slot.row, slot.col, slot.isHorizontal)
+  );
+  if (centreSlot) {
+    place(centre, centreSlot.row, centreSlot.col, centreSlot.isHorizontal);
+  } else {
+    problems.push(
+      `"${centre}" can't run through the centre of a ${width}×${height} grid: across needs an odd height ` +
+      'and a width with the same odd/even length as the word (down: the other way round)'
+    );
   }
+  const centreHorizontal = centreSlot ? centreSlot.isHorizontal : true;
 
-  // If all words placed, return early
-  if (bestResult.unplacedWords.length === 0) {
-    return bestResult;
+  // Pair the other entries by length
+  const pairs = [];
+  const byLength = new Map();
+  rest.forEach(word => byLength.set(word.length, [...(byLength.get(word.length) || []), word]));
+  for (const [length, group] of byLength) {
+    for (let i = 0; i + 1 < group.length; i += 2) pairs.push([group[i], group[i + 1]]);
+    if (group.length % 2 === 1) {
+      problems.push(`"${group[group.length - 1]}" has no other ${length}-letter theme word to pair with`);
+    }
   }
 
-  // Strategy 2: Longest first, vertical start
-  const result2 = attemptPlacement(sortedByLength, width, height, false);
-  if (result2.placements.length > bestResult.placements.length) {
-    bestResult = result2;
+  const findSlots = ([first, second], i) => {
+    const length = first.length;
+    let best = null;
+
+    for (const isHorizontal of [true, false]) {
+      // Pairs are spread between the edge and the centre line
+      const span = isHorizontal ? height : width;
+      const target = Math.round((((span - 1) / 2) * (i + 1)) / (pairs.length + 1));
+      const centredStart = ((isHorizontal ? width : height) - length) / 2;
+
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          const partnerRow = height - 1 - row - (isHorizontal ? 0 : length - 1);
+          const partnerCol = width - 1 - col - (isHorizontal ? length - 1 : 0);
+          if (partnerRow === row && partnerCol === col) continue;
+          if (!fits(first, row, col, isHorizontal) || !crossesPlaced(first, row, col, isHorizontal)) continue;
+
+          const line = isHorizontal ? row : col;
+          const start = isHorizontal ? col : row;
+          const cost = Math.abs(line - target) + Math.abs(start - centredStart) / 2 +
+            (isHorizontal === centreHorizontal ? 0 : span);
+          if (best && cost >= best.cost) continue;
+
+          // The partner slot must still be free once the first word is in
+          const withFirst = addWord(board, layout, first, row, col, isHorizontal);
+          const partnerFits = isValidPlacement(board, withFirst, second, partnerRow, partnerCol, isHorizontal) &&
+            crossesPlaced(second, partnerRow, partnerCol, isHorizontal);
+
+          if (partnerFits) {
+            best = { cost, row, col, partnerRow, partnerCol, isHorizontal };
+          }
+        }
+      }
+    }
+
+    return best;
+  };
+
+  // Keep going over the pairs left while another one gets placed
+  let waiting = pairs.map((pair, i) => ({ pair, i }));
+  let placedAny = true;
+  while (waiting.length > 0 && placedAny) {
+    placedAny = false;
+    waiting = waiting.filter(({ pair, i }) => {
+      const best = findSlots(pair, i);
+      if (!best) return true;
+      place(pair[0], best.row, best.col, best.isHorizontal);
+      place(pair[1], best.partnerRow, best.partnerCol, best.isHorizontal);
+      placedAny = true;
+      return false;
+    });
   }
 
-  if (bestResult.unplacedWords.length === 0) {
-    return bestResult;
+  for (const { pair: [first, second] } of waiting) {
+    problems.push(
+      `No symmetric pair of slots for "${first}" and "${second}" crossing the words already placed ` +
+      `in a ${width}×${height} grid`
+    );
   }
 
-  // Strategy 3-6: Try different orderings with shuffled words
+  return { placements, problems };
+}
+
+// Priority of words that weren't given one
+const DEFAULT_PRIORITY = 1;
+
+/**
+ * Reads required words and word priorities from the generator options
+ * @returns {Object} - { required, priorityOf } (a Set of words, and word -> priority)
+ */
+function createRanking(options) {
+  const clean = (word) => word.toUpperCase().trim();
+  const required = new Set((options.required || []).map(clean));
+  const priorities = new Map(Object.entries(options.priorities || {}).map(([word, p]) => [clean(word), p]));
+
+  return { required, priorityOf: (word) => priorities.get(word) ?? DEFAULT_PRIORITY };
+}
+
+/**
+ * Orders generated layouts by the words they place, better first (see compareCoverage)
+ */
+function compareResults(a, b, ranking) {
+  const coverage = ({ placements }) => ({
+    required: placements.filter(p => ranking.required.has(p.word)).length,
+    weight: placements.reduce((sum, p) => sum + ranking.priorityOf(p.word), 0),
+    placements
+  });
+  return compareCoverage(coverage(a), coverage(b));
+}
+
+/**
+ * Moves required words to the front of an ordering, then higher priorities
+ * (the sort is stable, so the ordering is kept within each group)
+ */
+function prioritize(words, ranking) {
+  const rank = (word) => (ranking.required.has(word) ? Infinity : ranking.priorityOf(word));
+  return [...words].sort((a, b) => (rank(b) === rank(a) ? 0 : rank(b) > rank(a) ? 1 : -1));
+}
+
+/**
+ * Builds the settings shared by every search in one generation run
+ * @returns {Object} - { width, height, board, seed, random, deadline, isExpired, pinned, mask,
+ *   scoring, required, priorityOf, words, themeProblems, replay }
+ *   - board: the grid the search runs on (see placementGrid.js)
+ *   - pinned: pinned words followed by the theme entries given showcase slots (see arrangeTheme)
+ *   - words: the cleaned word list without those (they are placed up front)
+ */
+function createContext(words, width, height, options) {
+  const seed = options.seed ?? randomSeed();
+  const deadline = options.timeLimit ? Date.now() + options.timeLimit : null;
+  const mask = options.mask || null;
+  const foldDiacritics = Boolean(options.foldDiacritics);
+  const board = createBoard(width, height, mask, null, foldDiacritics);
+  const cleanedWords = cleanWords(words);
+  const userPinned = cleanPinned(options.pinned);
+  const userPinnedWords = new Set(userPinned.map(pin => pin.word));
+
+  const themeWords = cleanWords(options.theme || [])
+    .filter(word => cleanedWords.includes(word) && !userPinnedWords.has(word));
+  const theme = arrangeTheme(themeWords, board, userPinned);
+  const pinned = [...userPinned, ...theme.placements];
+  const pinnedWords = new Set(pinned.map(pin => pin.word));
+
+  return {
+    width,
+    height,
+    board,
+    seed,
+    random: createRandom(seed),
+    deadline,
+    isExpired: () => deadline !== null && Date.now() > deadline,
+    pinned,
+    mask,
+    foldDiacritics,
+    scoring: { ...DEFAULT_SCORING, ...options.scoring },
+    ...createRanking(options),
+    words: cleanedWords.filter(w => !pinnedWords.has(w)),
+    themeProblems: theme.problems,
+    replay: Boolean(options.replay)
+  };
+}
+
+/**
+ * Builds the list of strategies (word orderings and first word orientation) to try
+ * Required and higher-priority words always come first in each ordering.
+ */
+function buildStrategies(cleanedWords, random, ranking) {
+  const strategies = [];
+
+  // Longest first as primary ordering, horizontal then vertical start
+  const sortedByLength = [...cleanedWords].sort((a, b) => b.length - a.length);
+  strategies.push({ words: sortedByLength, firstWordHorizontal: true });
+  strategies.push({ words: sortedByLength, firstWordHorizontal: false });
+
   // Put shorter words first sometimes - they have more flexibility
   const sortedByLengthAsc = [...cleanedWords].sort((a, b) => a.length - b.length);
+  strategies.push({ words: sortedByLengthAsc, firstWordHorizontal: true });
+  strategies.push({ words: sortedByLengthAsc, firstWordHorizontal: false });
 
-  const result3 = attemptPlacement(sortedByLengthAsc, width, height, true);
-  if (result3.placements.length > bestResult.placements.length) {
-    bestResult = result3;
+  // Random shuffles
+  for (let i = 0; i < 4; i++) {
+    const shuffled = shuffle(cleanedWords, random);
+    strategies.push({ words: shuffled, firstWordHorizontal: true });
+    strategies.push({ words: shuffled, firstWordHorizontal: false });
   }
 
-  const result4 = attemptPlacement(sortedByLengthAsc, width, height, false);
-  if (result4.placements.length > bestResult.placements.length) {
-    bestResult = result4;
+  return strategies.map(strategy => ({ ...strategy, words: prioritize(strategy.words, ranking) }));
+}
+
+/**
+ * Generates a crossword from a list of words
+ * @param {string[]} words - List of words to place
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Seed for the random source (a new one is picked if omitted)
+ * @param {Object[]} [options.pinned] - Words fixed in place before generation, each
+ *   { word, row, col, isHorizontal } (check them first with validatePinnedWords)
+ * @param {number} [options.timeLimit] - Time budget in milliseconds; the best layout found
+ *   when it runs out is returned (a cut-short run is not reproducible from its seed)
+ * @param {string[]} [options.mask] - Shape mask of the grid's size; letters only go
+ *   in cells inside the shape (see shapeMasks.js)
+ * @param {string[]} [options.required] - Words that must be placed: an optional word is
+ *   never kept at the cost of a required one
+ * @param {Object} [options.priorities] - Word -> priority (default 1); layouts placing more
+ *   total priority win over ones that just place more words
+ * @param {Object} [options.scoring] - Placement scoring weights and layout limits; missing
+ *   entries fall back to DEFAULT_SCORING
+ * @param {boolean} [options.foldDiacritics] - Let words cross where their letters only differ
+ *   by accents (e.g. "E" and "É"); the cell keeps the letter of the word placed first
+ * @param {string[]} [options.theme] - Theme entries (from the word list) given showcase
+ *   slots before the other words: the longest through the centre, the rest in
+ *   rotationally symmetric pairs of equal length
+ * @param {boolean} [options.replay] - Record how the layout was built (adds result.replay)
+ * @param {Function} [options.onProgress] - Called after each strategy with
+ *   { strategiesTried, totalStrategies, bestPlaced, totalWords, best }, where best is
+ *   the best result so far when it just improved, and null otherwise
+ * @returns {Object} - { grid, placements, unplacedWords, diagnostics, themeProblems, seed, timedOut }
+ *   - diagnostics: why each unplaced word could not be placed (see diagnoseUnplaced)
+ *   - themeProblems: messages for theme entries that got no symmetric position
+ *   - replay (with options.replay): { width, height, steps } - every decision behind the
+ *     layout, in order. Steps are { type: 'pin', word, placement } for pinned and theme
+ *     words, { type: 'place', phase, word, placement, candidates, chosen } where phase is
+ *     'search', 'retry' or 'repair' and candidates are the best placements considered,
+ *     each { row, col, isHorizontal, score }, { type: 'defer', word } for a word with no
+ *     room that was left for the retry pass, { type: 'lift', word, placement, forWord } for a
+ *     word taken off to make room during repair, and { type: 'drop', word } for a lifted word
+ *     that could not be put back
+ */
+export function generateCrossword(words, width, height, options = {}) {
+  const context = createContext(words, width, height, options);
+  const { seed, isExpired } = context;
+  const totalWords = context.words.length + context.pinned.length;
+  const strategies = buildStrategies(context.words, context.random, context);
+
+  let bestResult = null;
+  let timedOut = false;
+
+  for (let i = 0; i < strategies.length; i++) {
+    const { words: ordering, firstWordHorizontal } = strategies[i];
+    const result = searchPlacement(ordering, firstWordHorizontal, context);
+
+    const improved = !bestResult || compareResults(result, bestResult, context) < 0;
+    if (improved) {
+      bestResult = result;
+    }
+
+    timedOut = isExpired();
+
+    options.onProgress?.({
+      strategiesTried: i + 1,
+      totalStrategies: strategies.length,
+      bestPlaced: bestResult.placements.length,
+      totalWords,
+      best: improved ? { ...bestResult, seed } : null
+    });
+
+    // Stop once every word is placed or the time budget is used up
+    if (bestResult.unplacedWords.length === 0 || timedOut) break;
   }
 
-  // Strategy 5-8: Random shuffles
-  for (let i = 0; i < 4; i++) {
-    const shuffled = shuffle(cleanedWords);
-    const resultH = attemptPlacement(shuffled, width, height, true);
-    if (resultH.placements.length > bestResult.placements.length) {
-      bestResult = resultH;
+  const diagnostics = diagnoseUnplaced(bestResult.grid, bestResult.unplacedWords, context.mask, context.scoring, context.foldDiacritics);
+  return { ...bestResult, diagnostics, themeProblems: context.themeProblems, seed, timedOut };
+}
+
+/**
+ * Orders candidate layouts, better first: by the words placed (see compareResults),
+ * then more intersections, then a smaller bounding box
+ */
+function compareCandidates(a, b, ranking) {
+  const areaA = a.metrics.boundingBox.width * a.metrics.boundingBox.height;
+  const areaB = b.metrics.boundingBox.width * b.metrics.boundingBox.height;
+  return (
+    compareResults(a, b, ranking) ||
+    b.metrics.intersections - a.metrics.intersections ||
+    areaA - areaB
+  );
+}
+
+/**
+ * Generates several distinct candidate layouts for the same word list
+ * Unlike generateCrossword, every strategy is run (plus extra shuffles when needed)
+ * and each distinct layout is kept rather than only the best one.
+ * @param {string[]} words - List of words to place
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {Object} [options]
+ * @param {number} [options.count] - Number of candidates to return (default 6)
+ * @param {number} [options.seed] - Seed for the random source
+ * @param {Object[]} [options.pinned] - Words fixed in place (see generateCrossword)
+ * @param {number} [options.timeLimit] - Time budget in milliseconds
+ * @param {string[]} [options.mask] - Shape mask (see generateCrossword)
+ * @param {string[]} [options.required] - Words that must be placed (see generateCrossword)
+ * @param {Object} [options.priorities] - Word priorities (see generateCrossword)
+ * @param {Object} [options.scoring] - Scoring options (see generateCrossword)
+ * @param {string[]} [options.theme] - Theme entries (see generateCrossword)
+ * @param {boolean} [options.replay] - Record how each layout was built (see generateCrossword)
+ * @param {Function} [options.onProgress] - Called after each strategy with
+ *   { strategiesTried, totalStrategies, bestPlaced, totalWords, best }, where best is
+ *   { candidates, seed } when the candidate list just changed, and null otherwise
+ * @returns {Object} - { candidates, themeProblems, seed, timedOut }
+ *   - candidates: best first, each { grid, placements, unplacedWords, diagnostics, metrics }
+ *     (plus replay when recording)
+ */
+export function generateCandidates(words, width, height, options = {}) {
+  const count = options.count ?? 6;
+  const context = createContext(words, width, height, options);
+  const { seed, random, isExpired } = context;
+  const totalWords = context.words.length + context.pinned.length;
+  const strategies = buildStrategies(context.words, random, context);
+
+  // Extra shuffled orderings are tried when the standard ones give too few distinct layouts
+  const maxStrategies = Math.max(strategies.length, count * 4);
+
+  let candidates = [];
+  const seen = new Set();
+  let timedOut = false;
+
+  for (let i = 0; i < maxStrategies; i++) {
+    if (i >= strategies.length) {
+      if (candidates.length >= count) break;
+      strategies.push({ words: prioritize(shuffle(context.words, random), context), firstWordHorizontal: i % 2 === 0 });
     }
 
-    if (bestResult.unplacedWords.length === 0) {
-      return bestResult;
+    const { words: ordering, firstWordHorizontal } = strategies[i];
+    const result = searchPlacement(ordering, firstWordHorizontal, context);
+
+    const signature = layoutSignature(result.placements);
+    const isNew = !seen.has(signature);
+    if (isNew) {
+      seen.add(signature);
+      candidates = [...candidates, { ...result, metrics: computeLayoutMetrics(result.placements, totalWords) }]
+        .sort((a, b) => compareCandidates(a, b, context))
+        .slice(0, count);
     }
 
-    const resultV = attemptPlacement(shuffled, width, height, false);
-    if (resultV.placements.length > bestResult.placements.length) {
-      bestResult = resultV;
+    timedOut = isExpired();
+
+    options.onProgress?.({
+      strategiesTried: i + 1,
+      totalStrategies: strategies.length,
+      bestPlaced: candidates[0].metrics.wordsPlaced,
+      totalWords,
+      best: isNew ? { candidates, seed } : null
+    });
+
+    if (timedOut) break;
+  }
+
+  candidates = candidates.map(candidate => ({
+    ...candidate,
+    diagnostics: diagnoseUnplaced(candidate.grid, candidate.unplacedWords, context.mask, context.scoring, context.foldDiacritics)
+  }));
+  return { candidates, themeProblems: context.themeProblems, seed, timedOut };
+}
+
+
+// Word orderings tried when adding words to an existing grid
+const ADD_WORDS_ORDERINGS = 6;
+
+/**
+ * Copies a grid with its rebus cells emptied, so words read off it keep one
+ * character per cell. An empty cell reads as UNFILLED, which no word can cross.
+ */
+function withoutRebus(grid) {
+  return grid.map(row => row.map(cell => (isRebus(cell) ? EMPTY : cell)));
+}
+
+/**
+ * Places more words on an existing grid without moving anything already there
+ * Runs against the grid itself, so manually typed letters are kept and can be
+ * crossed, and blocks are kept clear. Several word orderings are tried and the one placing the most
+ * (required, then higher priority) words wins.
+ * @param {string[][]} grid - The current crossword grid
+ * @param {string[]} words - Words to add
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Seed for the random source
+ * @param {string[]} [options.mask] - Shape mask (see generateCrossword)
+ * @param {string[]} [options.required] - Words that must be placed (see generateCrossword)
+ * @param {Object} [options.priorities] - Word priorities (see generateCrossword)
+ * @param {Object} [options.scoring] - Scoring options (see generateCrossword)
+ * @param {boolean} [options.foldDiacritics] - Accent-insensitive crossings (see generateCrossword)
+ * @param {Object} [options.bars] - Bars of a barred grid: entries end at them, and new words
+ *   may not run through them (see bars.js)
+ * @returns {Object} - { grid, added, unplacedWords, diagnostics, seed }
+ *   - added: placements of the new words
+ *   - diagnostics: why each unplaced word could not be placed (see diagnoseUnplaced)
+ */
+export function addWordsToGrid(grid, words, options = {}) {
+  const height = grid.length;
+  const width = grid[0].length;
+  // Blocks on the grid are off limits
+  const context = {
+    ...createContext(words, width, height, { ...options, pinned: [], theme: [] }),
+    board: createBoard(width, height, options.mask, grid, Boolean(options.foldDiacritics), options.bars || null)
+  };
+  const { random } = context;
+
+  // Everything already on the grid stays put (rebus cells can't be crossed)
+  const searchGrid = withoutRebus(grid);
+  const existing = getPlacementsFromGrid(searchGrid, options.bars || null).map(p => ({ ...p, pinned: true }));
+  const initial = {
+    layout: layoutFromGrid(context.board, searchGrid, existing),
+    placements: existing,
+    unplacedWords: [],
+    required: 0,
+    weight: 0,
+    score: 0,
+    hash: 0
+  };
+
+  const orderings = [prioritize([...context.words].sort((a, b) => b.length - a.length), context)];
+  while (orderings.length < ADD_WORDS_ORDERINGS) {
+    orderings.push(prioritize(shuffle(context.words, random), context));
+  }
+
+  let best = null;
+  for (const ordering of orderings) {
+    const result = retryUnplaced({ ...initial, unplacedWords: ordering }, context);
+    if (!best || compareStates(result, best) < 0) {
+      best = result;
+    }
+    if (best.unplacedWords.length === 0) break;
+  }
+
+  // The new words go onto a copy of the grid, so its other cells are kept as they are
+  const added = best.placements.slice(existing.length);
+  const newGrid = grid.map(row => [...row]);
+  for (const { word, row, col, isHorizontal } of added) {
+    for (let i = 0; i < word.length; i++) {
+      newGrid[isHorizontal ? row : row + i][isHorizontal ? col + i : col] = word[i];
+    }
+  }
+
+  return {
+    grid: newGrid,
+    added,
+    unplacedWords: best.unplacedWords,
+    diagnostics: diagnoseUnplaced(
+      newGrid, best.unplacedWords, context.mask, context.scoring, context.foldDiacritics, options.bars || null
+    ),
+    seed: context.seed
+  };
+}
+
+/**
+ * Explains why words could not be placed on a grid
+ * Each word is checked against the grid as it is: whether it fits the grid at all,
+ * whether it shares a letter with the words already there, and why each possible
+ * crossing with them was rejected.
+ * @param {string[][]} grid - The crossword grid
+ * @param {string[]} words - The unplaced words
+ * @param {string[]} [mask] - Shape mask (see shapeMasks.js)
+ * @param {Object} [scoring] - Scoring options, for their layout limits (see DEFAULT_SCORING)
+ * @param {boolean} [foldDiacritics] - Accent-insensitive crossings (see generateCrossword)
+ * @param {Object} [bars] - Bars of a barred grid (see bars.js)
+ * @returns {Object[]} - One { word, reason, crossings, rejections, suggestedSize } per word
+ *   - reason: 'tooLong' (longer than both grid sides), 'tooLongForShape' (longer than any
+ *     run of the shape), 'noCommonLetters', 'blocked' (every crossing rejected), 'noRoom'
+ *     (nowhere to put it on an empty grid) or 'fits' (it has room now, e.g. after edits
+ *     or when the time limit cut the search short)
+ *   - crossings: how many crossings were tried
+ *   - rejections: REJECTION_REASONS value -> number of crossings rejected for it
+ *   - suggestedSize: { width, height } of the smallest larger grid giving the word room
+ *     ('tooLong', or 'blocked' with crossings running off the grid), else null
+ */
+export function diagnoseUnplaced(grid, words, mask = null, scoring = DEFAULT_SCORING, foldDiacritics = false, bars = null) {
+  const height = grid.length;
+  const width = grid[0].length;
+  const searchGrid = withoutRebus(grid);
+  const placed = getPlacementsFromGrid(searchGrid, bars);
+  const board = createBoard(width, height, mask, grid, foldDiacritics, bars);
+  const layout = layoutFromGrid(board, searchGrid, placed);
+  const limits = { ...DEFAULT_SCORING, ...scoring };
+  const matchText = (text) => (foldDiacritics ? foldText(text) : text);
+  const gridLetters = new Set(placed.flatMap(p => matchText(p.word).split('')));
+  const maxLength = mask ? longestRun(mask) : Math.max(width, height);
+
+  return cleanWords(words).map(word => {
+    const diagnosis = { word, reason: 'blocked', crossings: 0, rejections: {}, suggestedSize: null };
+
+    if (word.length > Math.max(width, height)) {
+      // Grow the longer side
+      const suggestedSize = word.length > MAX_GRID_SIZE
+        ? null
+        : width >= height ? { width: word.length, height } : { width, height: word.length };
+      return { ...diagnosis, reason: 'tooLong', suggestedSize };
+    }
+    if (word.length > maxLength) {
+      return { ...diagnosis, reason: 'tooLongForShape' };
+    }
+
+    if (placed.length === 0) {
+      const fits = grid.some((row, r) => row.some((_, c) =>
+        isValidPlacement(board, layout, word, r, c, true) || isValidPlacement(board, layout, word, r, c, false)
+      ));
+      return { ...diagnosis, reason: fits ? 'fits' : 'noRoom' };
     }
 
-    if (bestResult.unplacedWords.length === 0) {
-      return bestResult;
+    if (!matchText(word).split('').some(letter => gridLetters.has(letter))) {
+      return { ...diagnosis, reason: 'noCommonLetters' };
     }
+
+    // Try every crossing with the words on the grid, as findValidPlacements does
+    for (const placement of placed) {
+      for (let i = 0; i < word.length; i++) {
+        for (let j = 0; j < placement.word.length; j++) {
+          // Compared as the generator does, so accent-insensitive crossings count
+          if (letterKey(board, word.charCodeAt(i)) !== letterKey(board, placement.word.charCodeAt(j))) continue;
+
+          const isHorizontal = !placement.isHorizontal;
+          const row = isHorizontal ? placement.row + j : placement.row - i;
+          const col = isHorizontal ? placement.col - i : placement.col + j;
+
+          diagnosis.crossings++;
+          let rejection = checkPlacement(board, layout, word, row, col, isHorizontal);
+          if (rejection === null) {
+            const intersections = countCrossings(board, layout, word.length, row, col, isHorizontal);
+            rejection = applyLayoutLimits({ row, col, isHorizontal, intersections }, word, layout, limits);
+          }
+          if (rejection === null) {
+            return { ...diagnosis, reason: 'fits' };
+          }
+          diagnosis.rejections[rejection] = (diagnosis.rejections[rejection] || 0) + 1;
+
+          // How big the grid would need to be for this crossing to stay inside it
+          if (rejection === REJECTION_REASONS.OUT_OF_BOUNDS) {
+            const lastRow = isHorizontal ? row : row + word.length - 1;
+            const lastCol = isHorizontal ? col + word.length - 1 : col;
+            const size = {
+              width: width + Math.max(0, -col) + Math.max(0, lastCol - width + 1),
+              height: height + Math.max(0, -row) + Math.max(0, lastRow - height + 1)
+            };
+            const smaller = !diagnosis.suggestedSize ||
+              size.width * size.height < diagnosis.suggestedSize.width * diagnosis.suggestedSize.height;
+            if (smaller && size.width <= MAX_GRID_SIZE && size.height <= MAX_GRID_SIZE) {
+              diagnosis.suggestedSize = size;
+            }
+          }
+        }
+      }
+    }
+
+    return diagnosis;
+  });
+}
+
+
+/**
+ * Moves a replay's steps onto a cropped grid
+ * Candidates (and words lifted later) may fall outside it; the replay leaves those cells out.
+ */
+function cropReplay(replay, top, left, width, height) {
+  const shift = (p) => ({ ...p, row: p.row - top, col: p.col - left });
+  return {
+    width,
+    height,
+    steps: replay.steps.map(step => ({
+      ...step,
+      ...(step.placement && { placement: shift(step.placement) }),
+      ...(step.candidates && { candidates: step.candidates.map(shift) })
+    }))
+  };
+}
+
+/**
+ * Trims empty margins from a generated layout (and its replay, if recorded)
+ */
+function cropLayout(result) {
+  const { grid, top, left } = cropGrid(result.grid);
+  const width = grid[0].length;
+  const height = grid.length;
+  return {
+    ...result,
+    grid,
+    placements: offsetPlacements(result.placements, -top, -left),
+    ...(result.replay && { replay: cropReplay(result.replay, top, left, width, height) }),
+    width,
+    height
+  };
+}
+
+/**
+ * Finds the smallest grid that places every word
+ * (Shape masks fix the grid size, so options.mask is not used here.)
+ *
+ * Grid heights are searched by galloping up from a lower bound and then
+ * bisecting, with the width following from the aspect ratio. This assumes
+ * that if a size fits every word, larger sizes do too - true in practice,
+ * though not guaranteed for a randomized generator.
+ * @param {string[]} words - List of words to place
+ * @param {Object} [options]
+ * @param {number|null} [options.aspectRatio] - Target width / height. When omitted,
+ *   square grids are searched and the result is cropped to its content.
+ * @param {number} [options.count] - More than 1 generates that many candidates
+ *   (see generateCandidates) at the size found, without cropping
+ * @param {number} [options.seed] - Seed for the random source
+ * @param {Object[]} [options.pinned] - Words fixed in place; only sizes that hold them are tried
+ * @param {string[]} [options.required] - Words that must be placed (see generateCrossword)
+ * @param {Object} [options.priorities] - Word priorities (see generateCrossword)
+ * @param {Object} [options.scoring] - Scoring options (see generateCrossword)
+ * @param {string[]} [options.theme] - Theme entries (see generateCrossword)
+ * @param {number} [options.timeLimit] - Time budget in milliseconds for the whole search
+ * @param {Function} [options.onProgress] - Called after each size with
+ *   { strategiesTried, totalStrategies, bestPlaced, totalWords, best, size }
+ *   (strategiesTried counts sizes; size is the { width, height } just tried).
+ *   In gallery mode best is shaped like generateCandidates' result, with the best layout
+ *   so far as its only candidate, so a cancelled run can still show it
+ * @returns {Object} - generateCrossword's result (or generateCandidates' result when
+ *   count > 1) plus { width, height }
+ */
+export function generateAutoSized(words, options = {}) {
+  const seed = options.seed ?? randomSeed();
+  const deadline = options.timeLimit ? Date.now() + options.timeLimit : null;
+  const isExpired = () => deadline !== null && Date.now() > deadline;
+  const remainingTime = () => (deadline !== null ? Math.max(1, deadline - Date.now()) : undefined);
+  const ratio = options.aspectRatio || 1;
+  const galleryMode = (options.count ?? 1) > 1;
+  const ranking = createRanking(options);
+
+  const cleanedWords = cleanWords(words);
+  const longest = Math.max(0, ...cleanedWords.map(w => w.length));
+  const totalLetters = cleanedWords.reduce((sum, w) => sum + w.length, 0);
+
+  const clamp = (value) => Math.min(MAX_GRID_SIZE, Math.max(MIN_GRID_SIZE, value));
+  const sizeFor = (height) => ({ width: clamp(Math.round(height * ratio)), height });
+
+  // The longest word must fit one way, every letter is shared by at most two words,
+  // and pinned words must stay inside the grid
+  const couldFit = ({ width, height }) =>
+    Math.max(width, height) >= longest &&
+    width * height * 2 >= totalLetters &&
+    validatePinnedWords(options.pinned, width, height).length === 0;
+
+  let minHeight = MIN_GRID_SIZE;
+  while (minHeight < MAX_GRID_SIZE && !couldFit(sizeFor(minHeight))) minHeight++;
+  let maxHeight = MAX_GRID_SIZE;
+  while (maxHeight > minHeight && Math.round(maxHeight * ratio) > MAX_GRID_SIZE) maxHeight--;
+
+  const estimatedTries = 2 * Math.ceil(Math.log2(maxHeight - minHeight + 2)) + 1;
+  const results = new Map();
+  let best = null;
+
+  const tryHeight = (height) => {
+    if (results.has(height)) return results.get(height);
+
+    const size = sizeFor(height);
+    const result = {
+      ...generateCrossword(cleanedWords, size.width, size.height, {
+        ...options,
+        seed,
+        timeLimit: remainingTime(),
+        mask: null,
+        onProgress: null
+      }),
+      ...size
+    };
+    results.set(height, result);
+
+    // Best so far: the smallest size that fits everything, else the one placing the most
+    const placesAll = result.unplacedWords.length === 0;
+    const improved =
+      !best ||
+      (placesAll && (best.unplacedWords.length > 0 || height < best.height)) ||
+      (!placesAll && best.unplacedWords.length > 0 && compareResults(result, best, ranking) < 0);
+    if (improved) {
+      best = result;
+    }
+
+    const reported = galleryMode
+      ? {
+        candidates: [{ ...best, metrics: computeLayoutMetrics(best.placements, cleanedWords.length) }],
+        themeProblems: best.themeProblems,
+        seed,
+        width: best.width,
+        height: best.height
+      }
+      : best;
+    options.onProgress?.({
+      strategiesTried: results.size,
+      totalStrategies: Math.max(estimatedTries, results.size),
+      bestPlaced: best.placements.length,
+      totalWords: cleanedWords.length,
+      best: improved ? reported : null,
+      size
+    });
+
+    return result;
+  };
+  const fitsAll = (height) => tryHeight(height).unplacedWords.length === 0;
+
+  // Gallop up until every word fits
+  let low = minHeight;
+  let high = null;
+  let step = 1;
+  for (let height = minHeight; !isExpired(); height = Math.min(maxHeight, height + step), step *= 2) {
+    if (fitsAll(height)) {
+      high = height;
+      break;
+    }
+    low = height + 1;
+    if (height === maxHeight) break;
+  }
+
+  // Bisect between the last failure and the first success
+  if (high !== null) {
+    while (low < high && !isExpired()) {
+      const mid = Math.floor((low + high) / 2);
+      if (fitsAll(mid)) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+  }
+
+  const timedOut = isExpired();
+
+  if (galleryMode) {
+    const { width, height } = best;
+    const gallery = generateCandidates(cleanedWords, width, height, {
+      ...options,
+      seed,
+      mask: null,
+      timeLimit: remainingTime(),
+      onProgress: (progress) => options.onProgress?.({
+        ...progress,
+        best: progress.best && { ...progress.best, width, height },
+        size: { width, height }
+      })
+    });
+    return { ...gallery, width, height, timedOut: timedOut || gallery.timedOut };
   }
 
-  return bestResult;
+  const result = { ...best, seed, timedOut: timedOut || best.timedOut };
+  return options.aspectRatio ? result : cropLayout(result);
 }
 
 export default generateCrossword;
@@ -0,0 +1,46 @@
+/**
+ * Answer enumerations
+ *
+ * An enumeration gives the lengths of the words in an answer after its clue,
+ * e.g. "(3,5)" for ICE CREAM or "(4-5)" for HALF-PRICE. It is worked out from
+ * the answer's display name, which keeps the spaces and hyphens removed from
+ * the word in the grid. Apostrophes are not counted ("DON'T" is (4)), and a
+ * digraph that fills one cell (e.g. Dutch IJ) counts as one letter.
+ */
+
+import { toPuzzleCase } from './alphabets.js';
+
+const APOSTROPHES = /['’]/g;
+const HYPHENS = /[-‐]/;
+
+/**
+ * Number of letters in (part of) an answer, one per cell
+ */
+export function countLetters(text, alphabet) {
+  return [...toPuzzleCase(text, alphabet)].filter(ch => /\p{L}/u.test(ch)).length;
+}
+
+/**
+ * Works out the enumeration for an answer
+ * @param {string} answer - Display name (or the word itself)
+ * @param {Object} alphabet - Puzzle alphabet (see alphabets.js)
+ * @returns {string} - e.g. "(3,5)", or '' if the answer has no letters
+ */
+export function getEnumeration(answer, alphabet) {
+  const words = (answer || '')
+    .replace(APOSTROPHES, '')
+    .split(/\s+/)
+    .map(word => word.split(HYPHENS).map(part => countLetters(part, alphabet)).filter(n => n > 0))
+    .filter(parts => parts.length > 0);
+
+  if (words.length === 0) return '';
+  return `(${words.map(parts => parts.join('-')).join(',')})`;
+}
+
+/**
+ * Adds an answer's enumeration after its clue
+ */
+export function withEnumeration(clue, answer, alphabet) {
+  const enumeration = getEnumeration(answer, alphabet);
+  return [clue, enumeration].filter(Boolean).join(' ');
+}
@@ -0,0 +1,100 @@
+/**
+ * Main-thread client for the generator worker
+ *
+ * Each run gets its own worker, so cancelling is just terminating it.
+ * The best layout reported through progress messages is kept, which lets
+ * a cancelled run still return what it found so far.
+ */
+
+/**
+ * Starts a generator task in a new worker
+ * @param {string} task - 'crossword', 'candidates', 'autoSize', 'autofill' or 'pattern' (see generatorWorker.js)
+ * @param {string[]} words - List of words to place
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {Object} options - Generator options (must be cloneable - no functions)
+ * @param {Function} [onProgress] - Called with each progress report
+ * @returns {Object} - { promise, cancel }
+ *   - promise resolves with the generator result plus { cancelled },
+ *     or with null if cancelled before any layout was found
+ *   - cancel() stops the worker and resolves with the best layout so far
+ */
+function startWorker(task, words, width, height, options, onProgress) {
+  const worker = new Worker(new URL('../workers/generatorWorker.js', import.meta.url), { type: 'module' });
+  let bestSoFar = null;
+  let settle;
+
+  const promise = new Promise((resolve, reject) => {
+    settle = (value, error) => {
+      worker.terminate();
+      if (error) reject(error);
+      else resolve(value);
+      settle = () => {};
+    };
+  });
+
+  worker.onmessage = (e) => {
+    const { type, progress, result } = e.data;
+
+    if (type === 'progress') {
+      if (progress.best) {
+        bestSoFar = progress.best;
+      }
+      onProgress?.(progress);
+    } else if (type === 'done') {
+      settle({ ...result, cancelled: false });
+    }
+  };
+
+  worker.onerror = (e) => {
+    settle(null, new Error(e.message || 'Generation failed'));
+  };
+
+  worker.postMessage({ task, words, width, height, options });
+
+  const cancel = () => {
+    settle(bestSoFar && { ...bestSoFar, cancelled: true });
+  };
+
+  return { promise, cancel };
+}
+
+/**
+ * Starts generating a crossword in a worker (see startWorker for the return value)
+ */
+export function runGeneration(words, width, height, options, onProgress) {
+  return startWorker('crossword', words, width, height, options, onProgress);
+}
+
+/**
+ * Starts generating several candidate layouts in a worker
+ * Resolves with { candidates, seed, timedOut, cancelled }
+ */
+export function runCandidateGeneration(words, width, height, options, onProgress) {
+  return startWorker('candidates', words, width, height, options, onProgress);
+}
+
+/**
+ * Starts searching for the smallest grid that fits every word in a worker
+ * Resolves with the result plus { width, height, cancelled }
+ */
+export function runAutoSizedGeneration(words, options, onProgress) {
+  return startWorker('autoSize', words, null, null, options, onProgress);
+}
+
+/**
+ * Starts filling a block-pattern grid from a word list in a worker
+ * Resolves with the autofill result (see autofill.js) plus { cancelled };
+ * a cancelled run keeps the best partial fill so far
+ */
+export function runAutofill(grid, wordList, options, onProgress) {
+  return startWorker('autofill', wordList, null, null, { ...options, grid }, onProgress);
+}
+
+/**
+ * Starts making a random block pattern in a worker (large grids take a while)
+ * Resolves with { pattern, cancelled }, or with null if cancelled
+ */
+export function runPatternGeneration(width, height, options) {
+  return startWorker('pattern', [], width, height, options);
+}
@@ -0,0 +1,153 @@
+/**
+ * Grid utilities
+ *
+ * Helpers for reshaping a grid and keeping placements in step with it
+ */
+
+import { cellText, isInPuzzle, isWhite } from './cellUtils.js';
+import { hasBarRight, hasBarBelow } from './bars.js';
+
+/**
+ * Finds the rows and columns that hold part of the puzzle (white cells and blocks)
+ * @param {string[][]} grid - The crossword grid
+ * @returns {Object|null} - { top, left, bottom, right } (inclusive), or null for an empty grid
+ */
+export function getContentBounds(grid) {
+  let top = Infinity;
+  let left = Infinity;
+  let bottom = -Infinity;
+  let right = -Infinity;
+
+  grid.forEach((row, r) => {
+    row.forEach((cell, c) => {
+      if (isInPuzzle(cell)) {
+        top = Math.min(top, r);
+        bottom = Math.max(bottom, r);
+        left = Math.min(left, c);
+        right = Math.max(right, c);
+      }
+    });
+  });
+
+  if (top === Infinity) return null;
+  return { top, left, bottom, right };
+}
+
+/**
+ * Trims empty rows and columns from the edges of a grid
+ * @param {string[][]} grid - The crossword grid
+ * @returns {Object} - { grid, top, left } where top/left are the rows/columns removed
+ *   before the content (use them to move anything keyed by position)
+ */
+export function cropGrid(grid) {
+  const bounds = getContentBounds(grid);
+  if (!bounds) {
+    return { grid, top: 0, left: 0 };
+  }
+
+  const cropped = grid
+    .slice(bounds.top, bounds.bottom + 1)
+    .map(row => row.slice(bounds.left, bounds.right + 1));
+
+  return { grid: cropped, top: bounds.top, left: bounds.left };
+}
+
+/**
+ * Moves placements by a number of rows and columns
+ */
+export function offsetPlacements(placements, rowOffset, colOffset) {
+  return placements.map(p => ({
+    ...p,
+    row: p.row + rowOffset,
+    col: p.col + colOffset
+  }));
+}
+
+/**
+ * Moves position-keyed values (keys like "row-col", as used for pencil marks)
+ * Entries that end up outside the grid are dropped.
+ */
+export function offsetCellKeys(values, rowOffset, colOffset, width, height) {
+  const moved = {};
+
+  Object.entries(values).forEach(([key, value]) => {
+    const [row, col] = key.split('-').map(Number);
+    const r = row + rowOffset;
+    const c = col + colOffset;
+    if (r >= 0 && r < height && c >= 0 && c < width) {
+      moved[`${r}-${c}`] = value;
+    }
+  });
+
+  return moved;
+}
+
+/**
+ * Rebuilds placements from the grid: every run of 2+ white cells across or down
+ * Picks up manual edits, unlike the placements kept from generation.
+ * Empty white cells (block-pattern puzzles) are written as "?" in the word.
+ * @param {string[][]} grid - The crossword grid
+ * @param {Object} [bars] - Bars between cells, which end words too (see bars.js)
+ * @returns {Object[]} - Array of { word, row, col, isHorizontal }
+ */
+export function getPlacementsFromGrid(grid, bars = null) {
+  const placementsList = [];
+  const height = grid.length;
+  const width = grid[0].length;
+
+  // Across
+  for (let r = 0; r < height; r++) {
+    let c = 0;
+    while (c < width) {
+      const cell = grid[r][c];
+      if (isWhite(cell)) {
+        const startCol = c;
+        let word = '';
+        while (c < width && isWhite(grid[r][c])) {
+          word += cellText(grid[r][c]);
+          c++;
+          if (hasBarRight(bars, r, c - 1)) break;
+        }
+        if (word.length > 1) {
+          placementsList.push({
+            word,
+            row: r,
+            col: startCol,
+            isHorizontal: true
+          });
+        }
+      } else {
+        c++;
+      }
+    }
+  }
+
+  // Down
+  for (let c = 0; c < width; c++) {
+    let r = 0;
+    while (r < height) {
+      const cell = grid[r][c];
+      if (isWhite(cell)) {
+        const startRow = r;
+        let word = '';
+        while (r < height && isWhite(grid[r][c])) {
+          word += cellText(grid[r][c]);
+          r++;
+          if (hasBarBelow(bars, r - 1, c)) break;
+        }
+        if (word.length > 1) {
+          placementsList.push({
+            word,
+            row: startRow,
+            col: c,
+            isHorizontal: false
+          });
+        }
+      } else {
+        r++;
+      }
+    }
+  }
+
+  return placementsList;
+}
@@ -0,0 +1,75 @@
+/**
+ * Layout metrics for comparing generated crosswords
+ */
+
+/**
+ * Computes summary metrics for a layout
+ * @param {Object[]} placements - Array of { word, row, col, isHorizontal }
+ * @param {number} totalWords - Number of words the generator was asked to place
+ * @returns {Object} - { wordsPlaced, totalWords, intersections, boundingBox, density }
+ *   - intersections: cells shared by an Across and a Down word
+ *   - boundingBox: { width, height } of the area holding letters
+ *   - density: share of the bounding box filled with letters (0 to 1)
+ */
+export function computeLayoutMetrics(placements, totalWords) {
+  const cellCounts = new Map();
+  let minRow = Infinity;
+  let maxRow = -Infinity;
+  let minCol = Infinity;
+  let maxCol = -Infinity;
+
+  for (const { word, row, col, isHorizontal } of placements) {
+    for (let i = 0; i < word.length; i++) {
+      const r = isHorizontal ? row : row + i;
+      const c = isHorizontal ? col + i : col;
+      const key = `${r},${c}`;
+      cellCounts.set(key, (cellCounts.get(key) || 0) + 1);
+
+      minRow = Math.min(minRow, r);
+      maxRow = Math.max(maxRow, r);
+      minCol = Math.min(minCol, c);
+      maxCol = Math.max(maxCol, c);
+    }
+  }
+
+  if (cellCounts.size === 0) {
+    return {
+      wordsPlaced: 0,
+      totalWords,
+      intersections: 0,
+      boundingBox: { width: 0, height: 0 },
+      density: 0
+    };
+  }
+
+  let intersections = 0;
+  for (const count of cellCounts.values()) {
+    if (count > 1) intersections++;
+  }
+
+  const boundingBox = { width: maxCol - minCol + 1, height: maxRow - minRow + 1 };
+
+  return {
+    wordsPlaced: placements.length,
+    totalWords,
+    intersections,
+    boundingBox,
+    density: cellCounts.size / (boundingBox.width * boundingBox.height)
+  };
+}
+
+/**
+ * Builds a key that is equal for layouts with the same shape,
+ * even if one is shifted relative to the other
+ */
+export function layoutSignature(placements) {
+  if (placements.length === 0) return '';
+
+  const minRow = Math.min(...placements.map(p => p.row));
+  const minCol = Math.min(...placements.map(p => p.col));
+
+  return placements
+    .map(p => `${p.word}@${p.row - minRow},${p.col - minCol},${p.isHorizontal ? 'H' : 'V'}`)
+    .sort()
+    .join('|');
+}
@@ -0,0 +1,130 @@
+/**
+ * Linked answers
+ *
+ * A long answer can be split over several slots, e.g. ROCK AND ROLL as
+ * ROCKAND (12-Across) and ROLL (5-Down). A link lists the ids of its slots in
+ * answer order (see slots.js), so links follow their slots through renumbering
+ * and edits. The first slot carries the clue, numbered "12,5 down" with the
+ * enumeration of the whole answer; the others are clued "See 12-Across".
+ */
+
+import { withEnumeration } from './enumerations.js';
+import { slotName } from './slots.js';
+
+/**
+ * The link a slot belongs to (null if it isn't linked)
+ */
+export function findLink(links, id) {
+  return links.find(link => link.includes(id)) || null;
+}
+
+/**
+ * Links a slot to another: `to` is added at the end of `from`'s answer
+ * A slot already linked elsewhere is taken out of that link first.
+ * @returns {string[][]} - The new links
+ */
+export function linkSlots(links, from, to) {
+  if (from === to) return links;
+  const rest = unlinkSlot(links, to);
+  const link = findLink(rest, from);
+  if (link) {
+    return rest.map(l => (l === link ? [...l, to] : l));
+  }
+  return [...rest, [from, to]];
+}
+
+/**
+ * Takes a slot out of its link (a link left with one slot is removed)
+ * @returns {string[][]} - The new links
+ */
+export function unlinkSlot(links, id) {
+  return links
+    .map(link => link.filter(slotId => slotId !== id))
+    .filter(link => link.length > 1);
+}
+
+/**
+ * Keeps only the slots that are still in the grid
+ * @param {string[][]} links
+ * @param {Set<string>} ids - Ids of the current slots
+ */
+export function pruneLinks(links, ids) {
+  const pruned = links
+    .map(link => link.filter(id => ids.has(id)))
+    .filter(link => link.length > 1);
+  const unchanged = pruned.length === links.length && pruned.every((link, i) => link.length === links[i].length);
+  return unchanged ? links : pruned;
+}
+
+/**
+ * Replaces the ids of every link whose slots are all present with the slots
+ * @param {string[][]} links
+ * @param {Object[]} slots
+ * @returns {Object[][]}
+ */
+export function resolveLinks(links, slots) {
+  const byId = new Map(slots.map(slot => [slot.id, slot]));
+  return (links || [])
+    .map(link => link.map(id => byId.get(id)))
+    .filter(link => link.every(Boolean));
+}
+
+/**
+ * The number shown before a linked answer's clue, e.g. "12,5 down"
+ * Slots running the other way from the first one are marked with their direction.
+ */
+export function linkNumber(link) {
+  const [first] = link;
+  return link
+    .map(slot => (slot.direction === first.direction ? String(slot.number) : `${slot.number} ${slot.direction}`))
+    .join(',');
+}
+
+/**
+ * The whole answer of a link, from its slots' display names
+ * A display name ending in a hyphen runs on into the next one ("HALF-" + "PRICE").
+ */
+export function linkedAnswer(link, getDisplayName) {
+  return link.map(slot => getDisplayName(slot.word)).reduce((answer, name) =>
+    (answer.endsWith('-') ? answer + name : `${answer} ${name}`)
+  );
+}
+
+/**
+ * Builds the numbered clue lines for a puzzle, with linked answers
+ * @param {Object[]} slots - The puzzle's slots (see slots.js)
+ * @param {Function} clueOf - slot => clue text
+ * @param {Object} options
+ * @param {string[][]} [options.links] - Linked answers
+ * @param {Object} [options.displayNames] - Word -> answer with spaces
+ * @param {Object} [options.enumerations] - Slots whose clues show an enumeration (see enumerations.js)
+ * @param {Object} options.alphabet - Puzzle alphabet (see alphabets.js)
+ * @returns {Object} - { across, down }, arrays of lines
+ */
+export function buildClueLines(slots, clueOf, { links = [], displayNames = {}, enumerations = {}, alphabet }) {
+  const getDisplayName = (word) => displayNames[word] || word;
+  const resolved = resolveLinks(links, slots);
+
+  const line = (slot) => {
+    const link = resolved.find(l => l.includes(slot));
+
+    if (!link) {
+      const clue = clueOf(slot);
+      return `${slot.number}. ${enumerations[slot.id] ? withEnumeration(clue, getDisplayName(slot.word), alphabet) : clue}`;
+    }
+
+    const [first] = link;
+    if (first !== slot) {
+      return `${slot.number}. See ${slotName(first)}`;
+    }
+
+    const clue = clueOf(slot);
+    const text = enumerations[slot.id] ? withEnumeration(clue, linkedAnswer(link, getDisplayName), alphabet) : clue;
+    return `${linkNumber(link)}. ${text}`;
+  };
+
+  return {
+    across: slots.filter(slot => slot.direction === 'across').map(line),
+    down: slots.filter(slot => slot.direction === 'down').map(line)
+  };
+}
@@ -3,22 +3,28 @@
  *
  * Assigns numbers to cells that start Across or Down words
  * Scans from top-left to bottom-right, row by row
+ * Words end at blocks, void cells and bars (see bars.js)
+ * Right-to-left grids are kept in reading order (see alphabets.js), so the
+ * same scan numbers them right to left
  */
 
+import { cellText, isWhite } from './cellUtils.js';
+import { hasBarRight, hasBarBelow } from './bars.js';
+
 /**
  * Determines if a cell starts an Across word
  */
-function startsAcrossWord(grid, row, col) {
+function startsAcrossWord(grid, row, col, bars) {
   const width = grid[0].length;
 
-  // Cell must have a letter
-  if (grid[row][col] === null) return false;
+  // Cell must be white
+  if (!isWhite(grid[row][col])) return false;
 
-  // Cell to the left must be empty or out of bounds
-  if (col > 0 && grid[row][col - 1] !== null) return false;
+  // Cell to the left must be a block, void, out of bounds or behind a bar
+  if (col > 0 && isWhite(grid[row][col - 1]) && !hasBarRight(bars, row, col - 1)) return false;
 
-  // Cell to the right must have a letter (word must be at least 2 letters)
-  if (col + 1 >= width || grid[row][col + 1] === null) return false;
+  // Cell to the right must be white, with no bar between (word must be at least 2 letters)
+  if (col + 1 >= width || !isWhite(grid[row][col + 1]) || hasBarRight(bars, row, col)) return false;
 
   return true;
 }
@@ -26,51 +32,59 @@ function startsAcrossWord(grid, row, col) {
 /**
  * Determines if a cell starts a Down word
  */
-function startsDownWord(grid, row, col) {
+function startsDownWord(grid, row, col, bars) {
   const height = grid.length;
 
-  // Cell must have a letter
-  if (grid[row][col] === null) return false;
+  // Cell must be white
+  if (!isWhite(grid[row][col])) return false;
 
-  // Cell above must be empty or out of bounds
-  if (row > 0 && grid[row - 1][col] !== null) return false;
+  // Cell above must be a block, void, out of bounds or behind a bar
+  if (row > 0 && isWhite(grid[row - 1][col]) && !hasBarBelow(bars, row - 1, col)) return false;
 
-  // Cell below must have a letter (word must be at least 2 letters)
-  if (row + 1 >= height || grid[row + 1][col] === null) return false;
+  // Cell below must be white, with no bar between (word must be at least 2 letters)
+  if (row + 1 >= height || !isWhite(grid[row + 1][col]) || hasBarBelow(bars, row, col)) return false;
 
   return true;
 }
 
 /**
  * Extracts a word starting at a given position
+ * Empty white cells read as UNFILLED ("?"), so the word keeps its length
+ * @returns {Object} - { word, length } (length counts cells, as rebus cells hold several letters)
  */
-function extractWord(grid, row, col, isHorizontal) {
+function extractWord(grid, row, col, isHorizontal, bars) {
   let word = '';
+  let length = 0;
   const width = grid[0].length;
   const height = grid.length;
 
   if (isHorizontal) {
-    for (let c = col; c < width && grid[row][c] !== null; c++) {
-      word += grid[row][c];
+    for (let c = col; c < width && isWhite(grid[row][c]); c++) {
+      word += cellText(grid[row][c]);
+      length++;
+      if (hasBarRight(bars, row, c)) break;
     }
   } else {
-    for (let r = row; r < height && grid[r][col] !== null; r++) {
-      word += grid[r][col];
+    for (let r = row; r < height && isWhite(grid[r][col]); r++) {
+      word += cellText(grid[r][col]);
+      length++;
+      if (hasBarBelow(bars, r, col)) break;
     }
   }
 
-  return word;
+  return { word, length };
 }
 
 /**
  * Generates cell numbers and word lists for Across and Down
  * @param {string[][]} grid - The crossword grid
+ * @param {Object} [bars] - Bars between cells (see bars.js)
  * @returns {Object} - { cellNumbers, acrossWords, downWords }
  *   - cellNumbers: 2D array of numbers (null for unnumbered cells)
- *   - acrossWords: Array of { number, word, row, col }
- *   - downWords: Array of { number, word, row, col }
+ *   - acrossWords: Array of { number, word, row, col, length }
+ *   - downWords: Array of { number, word, row, col, length }
  */
-export function generateNumbering(grid) {
+export function generateNumbering(grid, bars = null) {
   if (!grid || grid.length === 0) {
     return { cellNumbers: [], acrossWords: [], downWords: [] };
   }
@@ -86,29 +100,31 @@ export function generateNumbering(grid) {
 
   for (let row = 0; row < height; row++) {
     for (let col = 0; col < width; col++) {
-      const isAcrossStart = startsAcrossWord(grid, row, col);
-      const isDownStart = startsDownWord(grid, row, col);
+      const isAcrossStart = startsAcrossWord(grid, row, col, bars);
+      const isDownStart = startsDownWord(grid, row, col, bars);
 
       if (isAcrossStart || isDownStart) {
         cellNumbers[row][col] = currentNumber;
 
         if (isAcrossStart) {
-          const word = extractWord(grid, row, col, true);
+          const { word, length } = extractWord(grid, row, col, true, bars);
           acrossWords.push({
             number: currentNumber,
             word,
             row,
-            col
+            col,
+            length
           });
         }
 
         if (isDownStart) {
-          const word = extractWord(grid, row, col, false);
+          const { word, length } = extractWord(grid, row, col, false, bars);
           downWords.push({
             number: currentNumber,
             word,
             row,
-            col
+            col,
+            length
           });
         }
 
@@ -0,0 +1,380 @@
+/**
+ * PDF export
+ *
+ * Lays out puzzle pages with jsPDF: a grid image under a title, then the clues
+ * in three columns, on the same page when they fit and on pages of their own
+ * otherwise.
+ *
+ * The standard PDF fonts only cover Latin-1, so other text (e.g. Polish or
+ * Hebrew clues) and all text of right-to-left puzzles is drawn on a canvas
+ * with the browser's fonts and added as an image.
+ */
+
+import { jsPDF } from 'jspdf';
+import { isFilled, isWhite } from './cellUtils.js';
+import { isInsideMask } from './shapeMasks.js';
+
+const PAGE_MARGIN_X = 15;
+const PAGE_MARGIN_Y = 20;
+const PAGE_BOTTOM = 285;
+const COLUMN_GAP = 5;
+
+const FONT_SIZE = 9;
+const TITLE_FONT_SIZE = 11;
+const LINE_HEIGHT = 4;
+const TITLE_LINE_HEIGHT = 5;
+
+// Pixels per cell when drawing a grid image
+const IMAGE_CELL_SIZE = 40;
+
+// Canvas pixels per mm for text drawn as an image
+const TEXT_IMAGE_SCALE = 8;
+const PT_TO_MM = 25.4 / 72;
+
+let measureContext = null;
+
+/**
+ * Whether text has to be drawn as an image (see above)
+ */
+function needsTextImage(text, rtl) {
+  return rtl || /[^\u0000-\u00ff]/.test(text);
+}
+
+function canvasFont(fontSize, bold) {
+  return `${bold ? 'bold ' : ''}${fontSize * PT_TO_MM * TEXT_IMAGE_SCALE}px sans-serif`;
+}
+
+/**
+ * Splits text drawn as an image into lines no wider than maxWidth (mm), like splitTextToSize
+ */
+function splitImageText(text, fontSize, bold, maxWidth) {
+  measureContext = measureContext || document.createElement('canvas').getContext('2d');
+  measureContext.font = canvasFont(fontSize, bold);
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/)) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && measureContext.measureText(next).width > maxWidth * TEXT_IMAGE_SCALE) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Draws lines of text as an image in a box of the given width, with the first
+ * baseline at y (as pdf.text does)
+ * @param {string} options.align - 'left', 'center' or 'right' within the box
+ */
+function addTextImage(pdf, lines, left, y, { width, fontSize, bold = false, lineHeight = 0, align = 'left', rtl = false }) {
+  const fontHeight = fontSize * PT_TO_MM;
+  const height = (lines.length - 1) * lineHeight + fontHeight * 1.3;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width * TEXT_IMAGE_SCALE);
+  canvas.height = Math.ceil(height * TEXT_IMAGE_SCALE);
+
+  const ctx = canvas.getContext('2d');
+  ctx.font = canvasFont(fontSize, bold);
+  ctx.direction = rtl ? 'rtl' : 'ltr';
+  ctx.textAlign = align;
+  ctx.fillStyle = '#000';
+  const x = align === 'left' ? 0 : align === 'right' ? canvas.width : canvas.width / 2;
+  lines.forEach((line, i) => {
+    ctx.fillText(line, x, (fontHeight + i * lineHeight) * TEXT_IMAGE_SCALE);
+  });
+
+  pdf.addImage(canvas.toDataURL('image/png'), 'PNG', left, y - fontHeight, width, height);
+}
+
+/**
+ * Creates an empty A4 portrait document
+ */
+export function createPdf() {
+  return new jsPDF('p', 'mm', 'a4');
+}
+
+/**
+ * Opens a document in a new tab (as a preview rather than a download)
+ */
+export function openPdf(pdf) {
+  const pdfBlob = pdf.output('blob');
+  const pdfUrl = URL.createObjectURL(pdfBlob);
+  window.open(pdfUrl, '_blank');
+}
+
+/**
+ * Draws a grid on a canvas, styled like the on-screen grid
+ * @param {Array[]} grid - The crossword grid
+ * @param {Object} [options]
+ * @param {Array[]} [options.cellNumbers] - Numbers from generateNumbering
+ * @param {string[]} [options.mask] - Shape mask (cells outside it are left blank)
+ * @param {boolean} [options.showLetters] - Draw the letters (for answer keys)
+ * @param {boolean} [options.rtl] - Right-to-left puzzle: column 0 is drawn on the right
+ * @returns {HTMLCanvasElement}
+ */
+export function drawGridImage(grid, { cellNumbers = null, mask = null, showLetters = false, rtl = false } = {}) {
+  const height = grid.length;
+  const width = grid[0].length;
+  const size = IMAGE_CELL_SIZE;
+  const border = mask ? 0 : 4;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width * size + border * 2;
+  canvas.height = height * size + border * 2;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  if (!mask) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  ctx.textBaseline = 'top';
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
+      if (!isInsideMask(mask, r, c)) continue;
+      const x = border + (rtl ? width - 1 - c : c) * size;
+      const y = border + r * size;
+
+      if (!isWhite(grid[r][c])) {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(x, y, size, size);
+        continue;
+      }
+
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(x, y, size, size);
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x + 1, y + 1, size - 2, size - 2);
+
+      const number = cellNumbers?.[r][c];
+      if (number) {
+        ctx.fillStyle = '#333';
+        ctx.font = `${Math.round(size * 0.28)}px sans-serif`;
+        // Numbers go in the corner where words start
+        ctx.textAlign = rtl ? 'right' : 'left';
+        ctx.fillText(String(number), rtl ? x + size - 4 : x + 4, y + 3);
+      }
+
+      if (showLetters && isFilled(grid[r][c])) {
+        // Rebus cells get a smaller font so the whole text fits the cell
+        const text = grid[r][c];
+        let fontSize = Math.round(size * 0.5);
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        const textWidth = ctx.measureText(text).width;
+        if (textWidth > size * 0.85) {
+          fontSize = Math.max(6, Math.floor(fontSize * size * 0.85 / textWidth));
+          ctx.font = `bold ${fontSize}px sans-serif`;
+        }
+        ctx.fillStyle = '#333';
+        ctx.textAlign = 'center';
+        ctx.fillText(text, x + size / 2, y + (size - fontSize) * 0.6);
+      }
+    }
+  }
+
+  return canvas;
+}
+
+/**
+ * Adds a grid with its clues, starting on the current page (which should be blank)
+ * @param {jsPDF} pdf - The document
+ * @param {Object} page
+ * @param {string} page.title - Heading above the grid
+ * @param {string} page.image - Grid image as a PNG data URL
+ * @param {number} page.aspect - Width / height of the image
+ * @param {string[]} page.across - Across clue lines
+ * @param {string[]} page.down - Down clue lines
+ * @param {string[]} [page.pageTitles] - Headings for the Across and Down pages
+ *   when the clues don't fit under the grid
+ * @param {string} [page.label] - Printed in the top corner of every page added
+ * @param {boolean} [page.rtl] - Right-to-left puzzle: clues are right-aligned and the
+ *   columns run from right to left
+ */
+export function addGridPages(pdf, { title, image, aspect, across, down, pageTitles = ['Across', 'Down'], label, rtl = false }) {
+  const firstPage = pdf.getNumberOfPages();
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const maxWidth = pageWidth - 20; // Smaller margins for larger grid
+  const maxHeight = pageHeight - 40; // Leave room for title
+
+  let imgWidth = maxWidth;
+  let imgHeight = imgWidth / aspect;
+
+  // Scale down if too tall
+  if (imgHeight > maxHeight) {
+    imgHeight = maxHeight;
+    imgWidth = imgHeight * aspect;
+  }
+
+  const imgX = (pageWidth - imgWidth) / 2;
+
+  const usableWidth = pageWidth - PAGE_MARGIN_X * 2;
+  const columnWidth = (usableWidth - COLUMN_GAP * 2) / 3; // Explicitly 3 columns
+
+  // Build clue items for a section
+  const buildClueItems = (lines, sectionTitle) => {
+    const items = [];
+    if (lines.length) {
+      items.push({ type: 'title', text: sectionTitle });
+      lines.forEach(text => items.push({ type: 'clue', text }));
+    }
+    return items;
+  };
+
+  // Split an item into lines that fit its column
+  const splitItem = (item) => {
+    const isTitle = item.type === 'title';
+    const fontSize = isTitle ? TITLE_FONT_SIZE : FONT_SIZE;
+    if (needsTextImage(item.text, rtl)) {
+      return splitImageText(item.text, fontSize, isTitle, columnWidth - 4);
+    }
+    pdf.setFontSize(fontSize);
+    return pdf.splitTextToSize(item.text, columnWidth - 4);
+  };
+
+  // Get height of an item
+  const getItemHeight = (item) => {
+    const isTitle = item.type === 'title';
+    const lines = splitItem(item);
+    return lines.length * (isTitle ? TITLE_LINE_HEIGHT : LINE_HEIGHT) + (isTitle ? 3 : 1);
+  };
+
+  // Write a heading centred across the page
+  const writeHeading = (text, fontSize, y) => {
+    if (needsTextImage(text, rtl)) {
+      addTextImage(pdf, [text], PAGE_MARGIN_X, y, { width: usableWidth, fontSize, align: 'center', rtl });
+    } else {
+      pdf.setFontSize(fontSize);
+      pdf.text(text, pageWidth / 2, y, { align: 'center' });
+    }
+  };
+
+  // Calculate if all clues fit in 3 columns starting at startY
+  const calculateAllCluesHeight = (allItems, startY) => {
+    const columnHeights = [0, 0, 0];
+    const maxColumnHeight = PAGE_BOTTOM - startY;
+    let currentColumn = 0;
+    let currentY = 0;
+
+    for (const item of allItems) {
+      const itemHeight = getItemHeight(item);
+
+      if (currentY + itemHeight > maxColumnHeight) {
+        // Move to next column
+        columnHeights[currentColumn] = currentY;
+        currentColumn++;
+        if (currentColumn >= 3) {
+          return { fits: false };
+        }
+        currentY = 0;
+      }
+      currentY += itemHeight;
+    }
+    columnHeights[currentColumn] = currentY;
+
+    return { fits: true, maxHeight: Math.max(...columnHeights) };
+  };
+
+  // Render all clues in 3 columns - guarantees all items are rendered
+  const renderAllClues = (allItems, startY) => {
+    let currentColumn = 0;
+    let currentY = startY;
+    let pageStartY = startY;
+
+    // Calculate x positions for 3 columns (the first on the right for RTL)
+    const colX = [
+      PAGE_MARGIN_X,
+      PAGE_MARGIN_X + columnWidth + COLUMN_GAP,
+      PAGE_MARGIN_X + (columnWidth + COLUMN_GAP) * 2
+    ];
+    if (rtl) colX.reverse();
+
+    for (let i = 0; i < allItems.length; i++) {
+      const item = allItems[i];
+      const isTitle = item.type === 'title';
+      const isDownTitle = isTitle && item.text === 'Down';
+      const itemHeight = getItemHeight(item);
+
+      // Add extra gap before "Down" section
+      const extraGap = isDownTitle ? 6 : 0;
+
+      // Check if need to move to next column or page
+      if (currentY + extraGap + itemHeight > PAGE_BOTTOM && currentY > pageStartY) {
+        // Only move to next column if we've rendered something in current column
+        currentColumn++;
+        if (currentColumn >= 3) {
+          // All 3 columns used, add new page
+          pdf.addPage();
+          currentColumn = 0;
+          pageStartY = PAGE_MARGIN_Y;
+        }
+        currentY = pageStartY;
+      }
+
+      // Add extra gap before "Down" section
+      if (isDownTitle) {
+        currentY += extraGap;
+      }
+
+      // Render the item
+      if (needsTextImage(item.text, rtl)) {
+        addTextImage(pdf, splitItem(item), colX[currentColumn], currentY, {
+          width: columnWidth - 4,
+          fontSize: isTitle ? TITLE_FONT_SIZE : FONT_SIZE,
+          bold: isTitle,
+          lineHeight: isTitle ? TITLE_LINE_HEIGHT : LINE_HEIGHT,
+          align: rtl ? 'right' : 'left',
+          rtl
+        });
+      } else {
+        pdf.setFontSize(isTitle ? TITLE_FONT_SIZE : FONT_SIZE);
+        pdf.setFont(undefined, isTitle ? 'bold' : 'normal');
+        const lines = pdf.splitTextToSize(item.text, columnWidth - 4);
+        pdf.text(lines, colX[currentColumn], currentY);
+      }
+      currentY += itemHeight;
+    }
+  };
+
+  // Check if all clues fit on same page as grid
+  const gridEndY = 35 + imgHeight;
+  const acrossClues = buildClueItems(across, 'Across');
+  const downClues = buildClueItems(down, 'Down');
+  const allClues = [...acrossClues, ...downClues];
+  const cluesResult = calculateAllCluesHeight(allClues, gridEndY);
+
+  // Grid page
+  pdf.setFont(undefined, 'normal');
+  writeHeading(title, 18, 15);
+  pdf.addImage(image, 'PNG', imgX, 25, imgWidth, imgHeight);
+
+  if (cluesResult.fits) {
+    // Render all clues on same page as grid
+    renderAllClues(allClues, gridEndY);
+  } else {
+    // Render Across and Down on separate pages
+    pdf.addPage();
+    writeHeading(pageTitles[0], 14, 15);
+    renderAllClues(acrossClues.slice(1), PAGE_MARGIN_Y + 5); // Skip title since it's in header
+
+    pdf.addPage();
+    writeHeading(pageTitles[1], 14, 15);
+    renderAllClues(downClues.slice(1), PAGE_MARGIN_Y + 5); // Skip title since it's in header
+  }
+
+  if (label) {
+    for (let page = firstPage; page <= pdf.getNumberOfPages(); page++) {
+      pdf.setPage(page);
+      pdf.setFontSize(9);
+      pdf.setFont(undefined, 'normal');
+      pdf.text(label, pageWidth - PAGE_MARGIN_X, 8, { align: 'right' });
+    }
+  }
+}
@@ -0,0 +1,357 @@
+/**
+ * Flat letter grid for the placement search
+ *
+ * The generator checks thousands of placements per run, so its layouts keep
+ * the grid in typed arrays indexed by row * width + col: letters as char codes
+ * (0 for an empty cell), and for every cell the Across and Down word covering
+ * it. An index from each letter to the cells holding it lets crossings be
+ * found without walking every placed word. With diacritic folding on, the
+ * index (and the crossing check) use each letter's folded form, so "E" can
+ * cross "É" (see alphabets.js).
+ *
+ * Layouts are never changed in place. Adding a word copies the arrays it
+ * touches and updates the index and the layout counts for just that word.
+ */
+
+import { cellText, isBlock, isWhite } from './cellUtils.js';
+import { isInsideMask } from './shapeMasks.js';
+import { foldLetterCode } from './alphabets.js';
+import { hasBarRight, hasBarBelow } from './bars.js';
+
+// Cell value of an empty cell, and word index of a cell no word covers
+export const EMPTY_CELL = 0;
+export const NO_WORD = -1;
+
+/**
+ * Describes the grid a search runs on
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {string[]} [mask] - Shape mask (see shapeMasks.js)
+ * @param {Array[]} [grid] - A grid whose blocks letters may not go in either
+ * @param {boolean} [foldDiacritics] - Let letters that only differ by accents cross
+ * @param {Object} [bars] - Bars words may not run through (see bars.js)
+ * @returns {Object} - { width, height, inside, capacity, fold, bars, scratch }
+ *   - inside: 1 for each cell letters may go in
+ *   - capacity: how many cells that is
+ *   - fold: char code -> code letters are matched by, or null to match them exactly
+ *   - bars: { right, below }, 1 for each cell with a bar on that edge, or null without bars
+ *   - scratch: working space with two entries per cell, for one search over the
+ *     board at a time (left all zeros after use)
+ */
+export function createBoard(width, height, mask = null, grid = null, foldDiacritics = false, bars = null) {
+  const inside = new Uint8Array(width * height);
+  const hasBars = bars !== null && Object.keys(bars).length > 0;
+  const barEdges = hasBars ? { right: new Uint8Array(width * height), below: new Uint8Array(width * height) } : null;
+  let capacity = 0;
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
+      if (isInsideMask(mask, r, c) && !(grid && isBlock(grid[r][c]))) {
+        inside[r * width + c] = 1;
+        capacity++;
+      }
+      if (barEdges) {
+        barEdges.right[r * width + c] = hasBarRight(bars, r, c) ? 1 : 0;
+        barEdges.below[r * width + c] = hasBarBelow(bars, r, c) ? 1 : 0;
+      }
+    }
+  }
+  return {
+    width,
+    height,
+    inside,
+    capacity,
+    fold: foldDiacritics ? foldLetterCode : null,
+    bars: barEdges,
+    scratch: new Int32Array(width * height * 2)
+  };
+}
+
+/**
+ * The letterCells key for a letter's char code
+ */
+export function letterKey(board, code) {
+  return board.fold ? board.fold(code) : code;
+}
+
+/**
+ * Creates a layout with no letters
+ * A layout is { cells, acrossWord, downWord, letterCells, starts, wordCount, filled, across,
+ * down, bounds, capacity }:
+ *   - cells: char code per cell (0 when empty)
+ *   - acrossWord, downWord: index (in placement order) of the word covering each cell, or -1
+ *   - letterCells: char code (see letterKey) -> cells covered by a word holding that letter
+ *   - starts, lengths: first cell and length of each word
+ *   - filled: cells holding a letter; across and down: word counts
+ *   - bounds: { top, left, bottom, right } of the letters, or null
+ *   - capacity: the board's capacity (see createBoard)
+ */
+export function emptyLayout(board) {
+  const size = board.width * board.height;
+  return {
+    cells: new Uint16Array(size),
+    acrossWord: new Int16Array(size).fill(NO_WORD),
+    downWord: new Int16Array(size).fill(NO_WORD),
+    letterCells: new Map(),
+    starts: [],
+    lengths: [],
+    wordCount: 0,
+    filled: 0,
+    across: 0,
+    down: 0,
+    bounds: null,
+    capacity: board.capacity
+  };
+}
+
+/**
+ * Writes a word into a layout's arrays and updates its index and counts
+ * @param {Set} [shared] - Letters whose letterCells arrays are still shared with
+ *   another layout (copied before the first change); omit when the layout owns them all
+ */
+function writeWord(board, layout, word, row, col, isHorizontal, shared = null) {
+  const { width } = board;
+  const step = isHorizontal ? 1 : width;
+  const owners = isHorizontal ? layout.acrossWord : layout.downWord;
+  const index = layout.wordCount;
+
+  for (let i = 0, cell = row * width + col; i < word.length; i++, cell += step) {
+    if (layout.cells[cell] === EMPTY_CELL) {
+      layout.cells[cell] = word.charCodeAt(i);
+      layout.filled++;
+    }
+
+    // Newly covered cells join the letter index
+    if (layout.acrossWord[cell] === NO_WORD && layout.downWord[cell] === NO_WORD) {
+      const key = letterKey(board, layout.cells[cell]);
+      let cells = layout.letterCells.get(key);
+      if (!cells || shared?.has(key)) {
+        cells = cells ? [...cells] : [];
+        layout.letterCells.set(key, cells);
+        shared?.delete(key);
+      }
+      cells.push(cell);
+    }
+    owners[cell] = index;
+  }
+
+  const lastRow = isHorizontal ? row : row + word.length - 1;
+  const lastCol = isHorizontal ? col + word.length - 1 : col;
+  const { bounds } = layout;
+  layout.bounds = bounds
+    ? {
+      top: Math.min(bounds.top, row),
+      left: Math.min(bounds.left, col),
+      bottom: Math.max(bounds.bottom, lastRow),
+      right: Math.max(bounds.right, lastCol)
+    }
+    : { top: row, left: col, bottom: lastRow, right: lastCol };
+
+  layout.starts.push(row * width + col);
+  layout.lengths.push(word.length);
+  layout.wordCount++;
+  if (isHorizontal) {
+    layout.across++;
+  } else {
+    layout.down++;
+  }
+}
+
+/**
+ * Returns a new layout with a word added (check it with checkPlacement first)
+ */
+export function addWord(board, layout, word, row, col, isHorizontal) {
+  const next = {
+    ...layout,
+    cells: layout.cells.slice(),
+    acrossWord: isHorizontal ? layout.acrossWord.slice() : layout.acrossWord,
+    downWord: isHorizontal ? layout.downWord : layout.downWord.slice(),
+    letterCells: new Map(layout.letterCells),
+    starts: [...layout.starts],
+    lengths: [...layout.lengths]
+  };
+  writeWord(board, next, word, row, col, isHorizontal, new Set(layout.letterCells.keys()));
+  return next;
+}
+
+/**
+ * Returns a new layout without one of its words
+ * Later words move down one index, as when the word is taken out of the placement list.
+ * @param {number} index - The word's index (in placement order)
+ */
+export function removeWord(board, layout, index) {
+  const { width } = board;
+  const isHorizontalAt = (i) => layout.acrossWord[layout.starts[i]] === i;
+  const isHorizontal = isHorizontalAt(index);
+  const next = {
+    ...layout,
+    cells: layout.cells.slice(),
+    acrossWord: layout.acrossWord.slice(),
+    downWord: layout.downWord.slice(),
+    letterCells: new Map(layout.letterCells),
+    starts: layout.starts.filter((_, i) => i !== index),
+    lengths: layout.lengths.filter((_, i) => i !== index),
+    wordCount: layout.wordCount - 1,
+    across: layout.across - (isHorizontal ? 1 : 0),
+    down: layout.down - (isHorizontal ? 0 : 1),
+    bounds: null
+  };
+  const sameWay = isHorizontal ? next.acrossWord : next.downWord;
+  const otherWay = isHorizontal ? next.downWord : next.acrossWord;
+
+  // Cells no other word covers are emptied and leave the letter index
+  const step = isHorizontal ? 1 : width;
+  for (let i = 0, cell = layout.starts[index]; i < layout.lengths[index]; i++, cell += step) {
+    sameWay[cell] = NO_WORD;
+    if (otherWay[cell] !== NO_WORD) continue;
+    const key = letterKey(board, next.cells[cell]);
+    next.letterCells.set(key, next.letterCells.get(key).filter(c => c !== cell));
+    next.cells[cell] = EMPTY_CELL;
+    next.filled--;
+  }
+
+  // Renumber the later words, and take the bounds from the words left
+  for (let j = 0; j < layout.wordCount; j++) {
+    if (j === index) continue;
+    const start = layout.starts[j];
+    const length = layout.lengths[j];
+    const across = isHorizontalAt(j);
+    const row = Math.floor(start / width);
+    const col = start - row * width;
+    const lastRow = across ? row : row + length - 1;
+    const lastCol = across ? col + length - 1 : col;
+    const { bounds } = next;
+    next.bounds = bounds
+      ? {
+        top: Math.min(bounds.top, row),
+        left: Math.min(bounds.left, col),
+        bottom: Math.max(bounds.bottom, lastRow),
+        right: Math.max(bounds.right, lastCol)
+      }
+      : { top: row, left: col, bottom: lastRow, right: lastCol };
+
+    if (j > index) {
+      const owners = across ? next.acrossWord : next.downWord;
+      const wordStep = across ? 1 : width;
+      for (let i = 0, cell = start; i < length; i++, cell += wordStep) owners[cell] = j - 1;
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Builds a layout from placements ({ word, row, col, isHorizontal }), in order
+ */
+export function layoutFromPlacements(board, placements) {
+  const layout = emptyLayout(board);
+  for (const { word, row, col, isHorizontal } of placements) {
+    writeWord(board, layout, word, row, col, isHorizontal);
+  }
+  return layout;
+}
+
+/**
+ * Builds a layout from a grid and the words read off it (see getPlacementsFromGrid)
+ * Letters outside those words (e.g. a lone typed letter) stay on the grid
+ * but are not crossed. Blocks are left out (see createBoard).
+ */
+export function layoutFromGrid(board, grid, placements) {
+  const layout = layoutFromPlacements(board, placements);
+  grid.forEach((row, r) => row.forEach((cell, c) => {
+    const index = r * board.width + c;
+    if (isWhite(cell) && layout.cells[index] === EMPTY_CELL) {
+      layout.cells[index] = cellText(cell).charCodeAt(0);
+      layout.filled++;
+      const { bounds } = layout;
+      layout.bounds = bounds
+        ? {
+          top: Math.min(bounds.top, r),
+          left: Math.min(bounds.left, c),
+          bottom: Math.max(bounds.bottom, r),
+          right: Math.max(bounds.right, c)
+        }
+        : { top: r, left: c, bottom: r, right: c };
+    }
+  }));
+  return layout;
+}
+
+/**
+ * Converts a layout to a grid of letters (null for empty cells)
+ */
+export function layoutToGrid(board, layout) {
+  const { width, height } = board;
+  return Array.from({ length: height }, (_, r) => Array.from({ length: width }, (_, c) => {
+    const code = layout.cells[r * width + c];
+    return code === EMPTY_CELL ? null : String.fromCharCode(code);
+  }));
+}
+
+/**
+ * Counts the letters a placement shares with the layout
+ */
+export function countCrossings(board, layout, length, row, col, isHorizontal) {
+  const step = isHorizontal ? 1 : board.width;
+  let crossings = 0;
+  for (let i = 0, cell = row * board.width + col; i < length; i++, cell += step) {
+    if (layout.cells[cell] !== EMPTY_CELL) crossings++;
+  }
+  return crossings;
+}
+
+/**
+ * Calls visit(row, col, wordIndex, offset, isHorizontal) for every placed word holding
+ * a letter, once per cell holding it, where wordIndex is the placed word, offset the
+ * letter's position in it and isHorizontal the direction a word crossing it there runs
+ */
+export function forEachLetterCell(board, layout, letter, visit) {
+  const cells = layout.letterCells.get(letterKey(board, letter.charCodeAt(0)));
+  if (!cells) return;
+
+  const { width } = board;
+  for (const cell of cells) {
+    const row = Math.floor(cell / width);
+    const col = cell - row * width;
+    const down = layout.downWord[cell];
+    const across = layout.acrossWord[cell];
+    if (down !== NO_WORD) visit(row, col, down, (cell - layout.starts[down]) / width, true);
+    if (across !== NO_WORD) visit(row, col, across, cell - layout.starts[across], false);
+  }
+}
+
+/**
+ * Whether the layout's words are all linked through shared cells
+ * @param {number} [without] - Index of a word to leave out
+ */
+export function isLinked(layout, without = NO_WORD) {
+  const count = layout.wordCount - (without === NO_WORD ? 0 : 1);
+  if (count <= 1) return true;
+
+  // Union-find over the words, joined at every crossing
+  const parent = new Int16Array(layout.wordCount);
+  parent.forEach((_, i) => { parent[i] = i; });
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  let groups = count;
+  for (const cells of layout.letterCells.values()) {
+    for (const cell of cells) {
+      const across = layout.acrossWord[cell];
+      const down = layout.downWord[cell];
+      if (across === NO_WORD || down === NO_WORD || across === without || down === without) continue;
+      const a = find(across);
+      const b = find(down);
+      if (a !== b) {
+        parent[a] = b;
+        groups--;
+      }
+    }
+  }
+
+  return groups === 1;
+}
@@ -0,0 +1,49 @@
+/**
+ * Seeded random number utilities
+ *
+ * Uses the mulberry32 generator so the same seed always produces
+ * the same sequence, which makes generated layouts reproducible.
+ */
+
+/**
+ * Largest allowed seed (seeds are unsigned 32-bit integers)
+ */
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * Creates a random function seeded with the given value
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {Function} - Returns floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a fresh seed (not reproducible - used when no seed is given)
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Parses a seed entered by the user
+ * @returns {number|null} - The seed, or null if the value is not a valid seed
+ */
+export function parseSeed(value) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) return null;
+
+  const seed = Number(text);
+  if (!Number.isSafeInteger(seed) || seed > MAX_SEED) return null;
+
+  return seed;
+}
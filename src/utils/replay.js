@@ -0,0 +1,85 @@
+/**
+ * Generation replay
+ *
+ * Turns the steps recorded by the generator (options.replay, see
+ * generateCrossword) into frames that can be stepped through on the grid.
+ */
+
+/**
+ * Builds one frame per step, plus a final frame with the finished layout
+ * Frame k shows the grid after the first k steps, with step k (the next
+ * decision, or null in the final frame) to overlay on it. Letters outside the grid
+ * (words lifted before the layout was cropped) are left out.
+ * @param {Object} replay - { width, height, steps } from the generator
+ * @returns {Object[]} - Array of { grid, step }
+ */
+export function buildReplayFrames({ width, height, steps }) {
+  const frames = [];
+  let placements = [];
+
+  const toGrid = () => {
+    const grid = Array(height).fill(null).map(() => Array(width).fill(null));
+    for (const { word, row, col, isHorizontal } of placements) {
+      for (let i = 0; i < word.length; i++) {
+        const r = isHorizontal ? row : row + i;
+        const c = isHorizontal ? col + i : col;
+        if (r >= 0 && r < height && c >= 0 && c < width) grid[r][c] = word[i];
+      }
+    }
+    return grid;
+  };
+
+  steps.forEach(step => {
+    frames.push({ grid: toGrid(), step });
+    if (step.type === 'place' || step.type === 'pin') {
+      placements = [...placements, { word: step.word, ...step.placement }];
+    } else if (step.type === 'lift') {
+      // By position too: the same answer can be on the grid twice
+      const { row, col, isHorizontal } = step.placement;
+      const index = placements.findIndex(p =>
+        p.word === step.word && p.row === row && p.col === col && p.isHorizontal === isHorizontal
+      );
+      if (index !== -1) placements = placements.filter((_, i) => i !== index);
+    }
+  });
+  frames.push({ grid: toGrid(), step: null });
+
+  return frames;
+}
+
+/**
+ * Formats a placement score for display (scores can be fractional)
+ */
+export function formatScore(score) {
+  return Number.isInteger(score) ? String(score) : score.toFixed(1);
+}
+
+/**
+ * Describes a replay step in a sentence
+ */
+export function describeStep(step) {
+  switch (step.type) {
+    case 'pin':
+      return `${step.word} is fixed in place before the search starts.`;
+    case 'defer':
+      return `${step.word} has nowhere to go yet, so it is left for the retry pass.`;
+    case 'lift':
+      return `${step.word} is taken off the grid to make room for ${step.forWord}.`;
+    case 'drop':
+      return `${step.word} could not be put back, so it is left out.`;
+    default: {
+      const phase = { search: 'Search', retry: 'Retry pass', repair: 'Repair' }[step.phase];
+      const count = step.candidates.length;
+      const { score } = step.candidates[step.chosen];
+      const chosen = `#${step.chosen + 1} (score ${formatScore(score)})`;
+      // The beam search keeps several options open; the replay follows the one that won
+      let note = '';
+      if (score < step.candidates[0].score) {
+        note = ' It is not the top score, but it led to the best finished layout.';
+      } else if (step.chosen > 0) {
+        note = ' It ties for the top score.';
+      }
+      return `${phase}: ${count} position${count === 1 ? '' : 's'} considered for ${step.word}; ${chosen} is chosen.${note}`;
+    }
+  }
+}
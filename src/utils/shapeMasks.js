@@ -0,0 +1,199 @@
+/**
+ * Shape masks for themed grid outlines (hearts, stars, state outlines...)
+ *
+ * A mask marks which cells of the grid may hold letters. Masks are arrays of
+ * strings, one per row: '#' is a cell inside the shape, '.' a cell outside it.
+ */
+
+export const MASK_INSIDE = '#';
+export const MASK_OUTSIDE = '.';
+
+/**
+ * Whether a point is inside a polygon (even-odd rule)
+ */
+function insidePolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Five-pointed star, pointing up
+const STAR_POINTS = Array.from({ length: 10 }, (_, i) => {
+  const radius = i % 2 === 0 ? 1 : 0.45;
+  const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+  return [radius * Math.cos(angle), radius * Math.sin(angle) + 0.1];
+});
+
+/**
+ * Ready-made shapes
+ * contains(x, y) takes coordinates from -1 to 1 (y grows downwards)
+ */
+export const SHAPE_PRESETS = [
+  {
+    id: 'heart',
+    name: 'Heart',
+    contains: (x, y) => {
+      const hx = x * 1.25;
+      const hy = -y * 1.25 + 0.2;
+      return (hx * hx + hy * hy - 1) ** 3 - hx * hx * hy ** 3 <= 0;
+    }
+  },
+  {
+    id: 'star',
+    name: 'Star',
+    contains: (x, y) => insidePolygon(x, y, STAR_POINTS)
+  },
+  {
+    id: 'circle',
+    name: 'Circle',
+    contains: (x, y) => x * x + y * y <= 1
+  },
+  {
+    id: 'diamond',
+    name: 'Diamond',
+    contains: (x, y) => Math.abs(x) + Math.abs(y) <= 1
+  },
+  {
+    id: 'triangle',
+    name: 'Triangle',
+    contains: (x, y) => Math.abs(x) <= (y + 1) / 2
+  }
+];
+
+/**
+ * Creates a mask with every cell inside
+ */
+export function createFullMask(width, height) {
+  return Array(height).fill(MASK_INSIDE.repeat(width));
+}
+
+/**
+ * Draws a preset shape as a mask of the given size
+ * Each cell is tested at its centre.
+ */
+export function createPresetMask(presetId, width, height) {
+  const preset = SHAPE_PRESETS.find(p => p.id === presetId);
+  return Array.from({ length: height }, (_, r) =>
+    Array.from({ length: width }, (_, c) => {
+      const x = ((c + 0.5) / width) * 2 - 1;
+      const y = ((r + 0.5) / height) * 2 - 1;
+      return preset.contains(x, y) ? MASK_INSIDE : MASK_OUTSIDE;
+    }).join('')
+  );
+}
+
+/**
+ * Parses an ASCII mask
+ * Spaces, '.', '-' and '_' are outside the shape; any other character is inside.
+ * Blank lines at the top and bottom are dropped and short rows are padded.
+ * @param {string} text - The ASCII art
+ * @returns {string[]|null} - The mask, or null if the text has no cells inside
+ */
+export function parseAsciiMask(text) {
+  const lines = text.replace(/\t/g, '    ').split(/\r?\n/).map(line => line.replace(/\s+$/, ''));
+  while (lines.length > 0 && lines[0] === '') lines.shift();
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  if (lines.length === 0) return null;
+
+  const width = Math.max(...lines.map(line => line.length));
+  const mask = lines.map(line =>
+    line.padEnd(width, ' ').split('').map(ch => (/[\s.\-_]/.test(ch) ? MASK_OUTSIDE : MASK_INSIDE)).join('')
+  );
+
+  return countInside(mask) > 0 ? mask : null;
+}
+
+/**
+ * Builds a mask from image pixels: dark, opaque pixels are inside the shape
+ * @param {Object} imageData - { data, width, height } as from CanvasRenderingContext2D.getImageData,
+ *   already scaled to one pixel per cell
+ * @returns {string[]} - The mask
+ */
+export function maskFromImageData({ data, width, height }) {
+  return Array.from({ length: height }, (_, r) =>
+    Array.from({ length: width }, (_, c) => {
+      const i = (r * width + c) * 4;
+      const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      return data[i + 3] >= 128 && luminance < 128 ? MASK_INSIDE : MASK_OUTSIDE;
+    }).join('')
+  );
+}
+
+/**
+ * Scales a mask to a grid size (nearest cell)
+ */
+export function fitMask(mask, width, height) {
+  const maskHeight = mask.length;
+  const maskWidth = mask[0].length;
+  if (maskWidth === width && maskHeight === height) return mask;
+
+  return Array.from({ length: height }, (_, r) => {
+    const sourceRow = mask[Math.floor(((r + 0.5) * maskHeight) / height)];
+    return Array.from({ length: width }, (_, c) => sourceRow[Math.floor(((c + 0.5) * maskWidth) / width)]).join('');
+  });
+}
+
+/**
+ * Whether letters may go in a cell (always true without a mask)
+ */
+export function isInsideMask(mask, row, col) {
+  return !mask || mask[row]?.[col] === MASK_INSIDE;
+}
+
+/**
+ * Flips one cell of a mask between inside and outside
+ */
+export function toggleMaskCell(mask, row, col) {
+  return mask.map((line, r) => {
+    if (r !== row) return line;
+    const chars = line.split('');
+    chars[col] = chars[col] === MASK_INSIDE ? MASK_OUTSIDE : MASK_INSIDE;
+    return chars.join('');
+  });
+}
+
+/**
+ * Counts the cells inside a mask
+ */
+export function countInside(mask) {
+  return mask.reduce((sum, row) => sum + row.split('').filter(ch => ch === MASK_INSIDE).length, 0);
+}
+
+/**
+ * Cuts a mask down to part of the grid (e.g. after cropping)
+ */
+export function cropMask(mask, top, left, width, height) {
+  return mask.slice(top, top + height).map(row => row.slice(left, left + width));
+}
+
+/**
+ * Length of the longest straight run (across or down) of cells inside a mask
+ */
+export function longestRun(mask) {
+  let longest = 0;
+  const height = mask.length;
+  const width = mask[0].length;
+
+  for (let r = 0; r < height; r++) {
+    let run = 0;
+    for (let c = 0; c < width; c++) {
+      run = mask[r][c] === MASK_INSIDE ? run + 1 : 0;
+      longest = Math.max(longest, run);
+    }
+  }
+  for (let c = 0; c < width; c++) {
+    let run = 0;
+    for (let r = 0; r < height; r++) {
+      run = mask[r][c] === MASK_INSIDE ? run + 1 : 0;
+      longest = Math.max(longest, run);
+    }
+  }
+
+  return longest;
+}
@@ -0,0 +1,159 @@
+/**
+ * Slot identities
+ *
+ * A slot is one numbered entry of the grid: { id, direction, number, row, col,
+ * length, word }, where direction is 'across' or 'down'. Clues, enumeration
+ * toggles and linked answers are keyed by slot id, so a repeated answer can
+ * have a different clue in each slot.
+ *
+ * Whenever the grid is renumbered, the new entries are matched with the
+ * previous slots so each keeps its id:
+ * 1. Same answer: nearest first, in the same direction if possible, so slots
+ *    follow their words when the grid is shifted or cropped, when an island is
+ *    moved (or turned on its side) and when another candidate layout is shown.
+ * 2. Edited answer: an entry covering the same cells as an unmatched slot in
+ *    the same direction (most cells first) takes its id, reported as changed.
+ * Slots left over were removed from the grid.
+ */
+
+// Cost of matching a word that now runs the other way
+const TURNED_COST = 1000;
+
+/**
+ * Cells of a slot shared with another slot in the same direction
+ */
+function overlap(a, b) {
+  if (a.direction !== b.direction) return 0;
+  const [line, start] = a.direction === 'across' ? ['row', 'col'] : ['col', 'row'];
+  if (a[line] !== b[line]) return 0;
+  return Math.max(0, Math.min(a[start] + a.length, b[start] + b.length) - Math.max(a[start], b[start]));
+}
+
+/**
+ * Pairs slots with entries, cheapest pairs first
+ * @param {Function} cost - (slot, entry) => cost, or null if they can't be paired
+ */
+function pairUp(slots, entries, cost, pairs) {
+  const options = [];
+  slots.forEach((slot, i) => {
+    if (pairs.slots.has(i)) return;
+    entries.forEach((entry, j) => {
+      if (pairs.entries.has(j)) return;
+      const value = cost(slot, entry);
+      if (value !== null) options.push({ i, j, value });
+    });
+  });
+
+  options.sort((a, b) => a.value - b.value || a.j - b.j || a.i - b.i);
+  for (const { i, j } of options) {
+    if (pairs.slots.has(i) || pairs.entries.has(j)) continue;
+    pairs.slots.set(i, j);
+    pairs.entries.set(j, i);
+  }
+}
+
+/**
+ * The next free slot id
+ */
+function nextId(slots) {
+  const used = slots.map(slot => Number(slot.id.slice(1))).filter(Number.isFinite);
+  return Math.max(0, ...used) + 1;
+}
+
+/**
+ * Lists a numbering's entries as slots (without ids)
+ * @param {Object[]} acrossWords - From generateNumbering
+ * @param {Object[]} downWords - From generateNumbering
+ */
+function toEntries(acrossWords, downWords) {
+  return [
+    ...acrossWords.map(entry => ({ ...entry, direction: 'across' })),
+    ...downWords.map(entry => ({ ...entry, direction: 'down' }))
+  ];
+}
+
+/**
+ * Gives the entries of a new numbering the ids of the previous slots (see above)
+ * @param {Object[]} previous - Previous slots
+ * @param {Object[]} acrossWords - From generateNumbering
+ * @param {Object[]} downWords - From generateNumbering
+ * @param {Object} [options]
+ * @param {boolean} [options.followEdits] - Match edited answers by their cells (default true);
+ *   off for other layouts of the same words, where shared cells mean nothing
+ * @returns {Object} - { slots, changed, removed }
+ *   - slots: the new slots, Across then Down
+ *   - changed: array of { id, from, to }, slots whose answer was edited
+ *   - removed: previous slots that are gone
+ */
+export function matchSlots(previous, acrossWords, downWords, { followEdits = true } = {}) {
+  const entries = toEntries(acrossWords, downWords);
+  const pairs = { slots: new Map(), entries: new Map() };
+
+  pairUp(previous, entries, (slot, entry) => {
+    if (slot.word !== entry.word) return null;
+    const distance = Math.abs(slot.row - entry.row) + Math.abs(slot.col - entry.col);
+    return distance + (slot.direction === entry.direction ? 0 : TURNED_COST);
+  }, pairs);
+
+  if (followEdits) {
+    pairUp(previous, entries, (slot, entry) => {
+      const shared = overlap(slot, entry);
+      return shared > 0 ? -shared : null;
+    }, pairs);
+  }
+
+  let id = nextId(previous);
+  const changed = [];
+  const slots = entries.map((entry, j) => {
+    if (!pairs.entries.has(j)) return { ...entry, id: `s${id++}` };
+    const slot = previous[pairs.entries.get(j)];
+    if (slot.word !== entry.word) changed.push({ id: slot.id, from: slot.word, to: entry.word });
+    return { ...entry, id: slot.id };
+  });
+  const removed = previous.filter((slot, i) => !pairs.slots.has(i));
+
+  return { slots, changed, removed };
+}
+
+/**
+ * The name of a slot in messages, e.g. "12-Across"
+ */
+export function slotName(slot) {
+  return `${slot.number}-${slot.direction === 'across' ? 'Across' : 'Down'}`;
+}
+
+/**
+ * Slot data as saved in puzzle files (numbers are worked out again on load)
+ */
+export function saveSlots(slots) {
+  return slots.map(({ id, direction, row, col, length, word }) => ({ id, direction, row, col, length, word }));
+}
+
+/**
+ * Converts clues, enumeration toggles and links keyed by answer (older puzzle files) to slot ids
+ * Every slot with an answer gets the clue written for that answer in its direction.
+ * @param {Object[]} slots
+ * @param {Object} data
+ * @param {Object} [data.clues] - { across, down }, each keyed by word
+ * @param {Object} [data.enumerations] - Word -> true
+ * @param {Object[][]} [data.links] - Links of { direction, word }
+ * @returns {Object} - { clues, enumerations, links }
+ */
+export function fromWordKeys(slots, { clues = {}, enumerations = {}, links = [] }) {
+  const byId = {};
+  const shown = {};
+  for (const slot of slots) {
+    const clue = clues[slot.direction]?.[slot.word];
+    if (clue) byId[slot.id] = clue;
+    if (enumerations[slot.word]) shown[slot.id] = true;
+  }
+
+  const findSlot = ({ direction, word }) =>
+    slots.find(slot => slot.direction === direction && slot.word === word) ||
+    slots.find(slot => slot.word === word);
+  const linked = links
+    .map(link => link.map(findSlot).filter(Boolean).map(slot => slot.id))
+    .filter(link => link.length > 1);
+
+  return { clues: byId, enumerations: shown, links: linked };
+}
@@ -0,0 +1,103 @@
+/**
+ * Puzzle variants
+ *
+ * Variants are different layouts of the same word list, e.g. so neighbouring
+ * students can't copy from each other. Each variant is numbered on its own;
+ * its slots take the ids of the puzzle's slots with the same answers (see
+ * slots.js), whichever way the words now run, and with them their clues.
+ */
+
+import { generateNumbering } from './numberingUtils.js';
+import { createPdf, addGridPages, drawGridImage, openPdf } from './pdfExport.js';
+import { DEFAULT_ALPHABET, getAlphabet } from './alphabets.js';
+import { buildClueLines } from './linkedAnswers.js';
+import { matchSlots } from './slots.js';
+
+/**
+ * Label for the variant at an index: A to Z, then AA, AB, ...
+ */
+export function variantId(index) {
+  let id = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    id = String.fromCharCode(65 + ((n - 1) % 26)) + id;
+  }
+  return id;
+}
+
+/**
+ * Turns generated layouts into numbered variants with their clues
+ * @param {Object[]} layouts - Each { grid, unplacedWords } (e.g. generateCandidates' candidates)
+ * @param {Object[]} slots - The puzzle's slots
+ * @param {Object} clues - Slot id -> clue
+ * @returns {Object[]} - Array of { id, grid, cellNumbers, slots, unplacedWords },
+ *   where each slot also has its clue
+ */
+export function buildVariants(layouts, slots, clues) {
+  return layouts.map((layout, index) => {
+    const { cellNumbers, acrossWords, downWords } = generateNumbering(layout.grid);
+    const matched = matchSlots(slots, acrossWords, downWords, { followEdits: false }).slots;
+    return {
+      id: variantId(index),
+      grid: layout.grid,
+      cellNumbers,
+      slots: matched.map(slot => ({ ...slot, clue: clues[slot.id] || '' })),
+      unplacedWords: layout.unplacedWords
+    };
+  });
+}
+
+/**
+ * Exports variants as one PDF: a puzzle for each variant, then the answer keys
+ * Every page is labelled with its variant's ID.
+ * @param {string} title - Puzzle title
+ * @param {Object[]} variants - From buildVariants
+ * @param {Object} [options]
+ * @param {Object} [options.displayNames] - Word -> answer as shown in the key
+ * @param {Object} [options.enumerations] - Slots whose clues show an enumeration (see enumerations.js)
+ * @param {string[][]} [options.links] - Linked answers (see linkedAnswers.js)
+ * @param {Object} [options.alphabet] - Puzzle alphabet (see alphabets.js)
+ * @param {string[]} [options.mask] - Shape mask (see shapeMasks.js)
+ */
+export function exportVariantsPdf(title, variants, {
+  displayNames = {},
+  enumerations = {},
+  links = [],
+  alphabet = getAlphabet(DEFAULT_ALPHABET),
+  mask = null
+} = {}) {
+  const pdf = createPdf();
+  const { rtl } = alphabet;
+  const getDisplayName = (word) => displayNames[word] || word;
+
+  const addVariant = (variant, isKey) => {
+    const canvas = drawGridImage(variant.grid, { cellNumbers: variant.cellNumbers, mask, showLetters: isKey, rtl });
+    const label = `Variant ${variant.id}`;
+    const keyLines = (direction) => variant.slots
+      .filter(slot => slot.direction === direction)
+      .map(({ number, word }) => `${number}. ${getDisplayName(word)}`);
+    const lines = isKey
+      ? { across: keyLines('across'), down: keyLines('down') }
+      : buildClueLines(variant.slots, slot => slot.clue, { links, displayNames, enumerations, alphabet });
+
+    addGridPages(pdf, {
+      title: isKey ? `${title} (${label}) - Answer Key` : `${title} (${label})`,
+      image: canvas.toDataURL('image/png'),
+      aspect: canvas.width / canvas.height,
+      across: lines.across,
+      down: lines.down,
+      pageTitles: isKey ? ['Across Answers', 'Down Answers'] : ['Across', 'Down'],
+      label,
+      rtl
+    });
+  };
+
+  // Puzzles first, answer keys at the back
+  [false, true].forEach(isKey => {
+    variants.forEach((variant, index) => {
+      if (isKey || index > 0) pdf.addPage();
+      addVariant(variant, isKey);
+    });
+  });
+
+  openPdf(pdf);
+}
@@ -0,0 +1,40 @@
+/**
+ * Word lists for autofill
+ *
+ * The bundled English list ships with the app (loaded on first use, so it
+ * doesn't slow down startup) and works offline. Users can also supply their
+ * own list as a text file.
+ */
+
+import { DEFAULT_ALPHABET, getAlphabet, isAlphabetWord, toPuzzleCase } from './alphabets.js';
+
+let bundledWords = null;
+
+/**
+ * Loads the bundled English word list (about 275,000 words)
+ * @returns {Promise<string[]>} - Lowercase words
+ */
+export async function loadBundledWordList() {
+  if (!bundledWords) {
+    const module = await import('an-array-of-english-words');
+    bundledWords = module.default;
+  }
+  return bundledWords;
+}
+
+/**
+ * Parses a user-supplied word list
+ * One entry per line; anything after ';' (e.g. a score in "WORD;50") is ignored,
+ * as are blank lines and lines starting with '#'.
+ * @param {string} text - File contents
+ * @param {Object} [alphabet] - The puzzle alphabet (see alphabets.js); words using
+ *   other letters are left out
+ * @returns {string[]} - Words in puzzle case
+ */
+export function parseWordList(text, alphabet = getAlphabet(DEFAULT_ALPHABET)) {
+  return text
+    .split(/\r?\n/)
+    .filter(line => !line.trim().startsWith('#'))
+    .map(line => toPuzzleCase(line.split(';')[0].trim(), alphabet).replace(/[\s'-]/g, ''))
+    .filter(word => isAlphabetWord(word, alphabet));
+}
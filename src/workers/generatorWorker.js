@@ -0,0 +1,38 @@
+/**
+ * Generator Worker
+ * Runs the crossword generator off the main thread so the page stays responsive.
+ *
+ * Messages in:  { task, words, width, height, options }
+ *               task is 'crossword' (one layout), 'candidates' (several layouts)
+ *               or 'autoSize' (smallest grid that fits; width and height are ignored)
+ *               'autofill' fills options.grid from the word list in words
+ *               'pattern' makes a random block pattern from options.seed (words are ignored)
+ * Messages out: { type: 'progress', progress } after each strategy
+ *               { type: 'done', result } when generation finishes
+ */
+
+import { generateCrossword, generateCandidates, generateAutoSized } from '../utils/crosswordGenerator.js';
+import { autofillGrid } from '../utils/autofill.js';
+import { createRandomPattern } from '../utils/blockPatterns.js';
+import { createRandom } from '../utils/random.js';
+
+const TASKS = {
+  crossword: generateCrossword,
+  candidates: generateCandidates,
+  autoSize: (words, width, height, options) => generateAutoSized(words, options),
+  autofill: (words, width, height, options) => autofillGrid(options.grid, words, options),
+  pattern: (words, width, height, options) => ({
+    pattern: createRandomPattern(width, height, createRandom(options.seed), options)
+  })
+};
+
+self.onmessage = (e) => {
+  const { task, words, width, height, options } = e.data;
+
+  const result = TASKS[task](words, width, height, {
+    ...options,
+    onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+  });
+
+  self.postMessage({ type: 'done', result });
+};